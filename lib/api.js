@@ -0,0 +1,120 @@
+import { createHash } from "crypto";
+import { LIFTS, getLiftType } from "./lifts.js";
+
+/**
+ * Entity tag for a response body, so unchanged data can be answered with a
+ * 304
+ */
+export function getETag(body) {
+  return `"${createHash("sha1").update(body).digest("base64url")}"`;
+}
+
+/**
+ * Whether an If-None-Match header matches an entity tag
+ */
+export function matchesETag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+export function getMeetSummary(meet) {
+  return {
+    meetId: meet.meetId,
+    federation: meet.federation,
+    pointsFormula: meet.pointsFormula,
+    meetInfo: meet.meetInfo,
+    lastUpdate: meet.lastUpdate,
+  };
+}
+
+/**
+ * Platforms with the attempt being lifted and who is lifting it
+ */
+export function getPlatforms(meet) {
+  return Object.values(meet.platforms).map((platform) => {
+    const attempt = meet.attempts[platform.currentAttemptId] || null;
+    return {
+      ...platform,
+      currentAttempt: attempt,
+      currentLifter: attempt ? meet.lifters[attempt.lifterId] || null : null,
+    };
+  });
+}
+
+/**
+ * Lifters matching the query's filters. `division` (ID or name),
+ * `equipment` and `weightClass` match any of a lifter's divisions;
+ * `search` matches part of the name.
+ */
+export function getLifters(meet, query) {
+  const filters = Object.fromEntries(query);
+  const sex = filters.sex ? filters.sex.toUpperCase() : null;
+  const search = filters.search ? filters.search.toLowerCase() : null;
+
+  const matchesEntry = (entry) =>
+    (!filters.division ||
+      entry.divisionId === filters.division ||
+      entry.division.toLowerCase() === filters.division.toLowerCase()) &&
+    (!filters.equipment ||
+      entry.equipment.toUpperCase() === filters.equipment.toUpperCase()) &&
+    (!filters.weightClass || entry.weightClass === filters.weightClass);
+
+  return Object.values(meet.lifters).filter(
+    (lifter) =>
+      (!sex || lifter.sex === sex) &&
+      (!search || lifter.name.toLowerCase().includes(search)) &&
+      (!filters.platform || lifter.platformId === filters.platform) &&
+      (!filters.session || String(lifter.session) === filters.session) &&
+      (!filters.flight || lifter.flight === filters.flight) &&
+      (!filters.team || lifter.team === filters.team) &&
+      lifter.divisions.some(matchesEntry)
+  );
+}
+
+/**
+ * A lifter with their attempt docs in lift and attempt order, or null
+ */
+export function getLifter(meet, lifterId) {
+  const lifter = meet.lifters[lifterId];
+  if (!lifter) return null;
+
+  const attempts = Object.values(meet.attempts)
+    .filter((attempt) => attempt.lifterId === lifterId)
+    .sort(
+      (a, b) =>
+        LIFTS.indexOf(getLiftType(a.liftName)) -
+          LIFTS.indexOf(getLiftType(b.liftName)) ||
+        parseInt(a.attemptNumber) - parseInt(b.attemptNumber)
+    );
+
+  return { ...lifter, attempts };
+}
+
+export function getDivisions(meet) {
+  return Object.values(meet.divisions);
+}
+
+/**
+ * The meet's latest events, oldest first, filtered by the query: `since` (an
+ * event ID, for only newer ones), `type` (one or more, comma-separated),
+ * `platform`, `lifter` and `limit` (the last N)
+ */
+export function getEvents(meet, query) {
+  const since = parseInt(query.get("since")) || 0;
+  const types = query.get("type") ? query.get("type").split(",") : null;
+  const platform = query.get("platform");
+  const lifter = query.get("lifter");
+  const limit = parseInt(query.get("limit")) || 0;
+
+  const events = meet.events.filter(
+    (event) =>
+      event.id > since &&
+      (!types || types.includes(event.type)) &&
+      (!platform || event.platformId === platform) &&
+      (!lifter || event.lifterId === lifter)
+  );
+  return limit > 0 ? events.slice(-limit) : events;
+}
@@ -0,0 +1,340 @@
+import { readFileSync, existsSync } from "fs";
+import { join, dirname, resolve } from "path";
+import { fileURLToPath } from "url";
+
+// ES6 module support
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, "..");
+
+// Log levels, quietest first
+const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+// How long revealed referee lights stay on before displays clear them (ms),
+// unless the server is configured otherwise
+export const LIGHTS_HOLD_TIME = 10000;
+
+/**
+ * Server settings. Each can be set in a JSON config file (by name), an
+ * environment variable or a command line flag; later ones win.
+ */
+const OPTIONS = {
+  port: {
+    env: "PORT",
+    flag: "--port",
+    type: "port",
+    default: 9001,
+    description: "Port to listen on",
+  },
+  host: {
+    env: "HOST",
+    flag: "--host",
+    type: "string",
+    default: "0.0.0.0",
+    description: "Address to bind to",
+  },
+  couchdbUrl: {
+    env: "COUCHDB_URL",
+    flag: "--couchdb-url",
+    type: "url",
+    default: "https://couchdb.liftingcast.com",
+    description: "LiftingCast CouchDB base URL",
+  },
+  pollTimeout: {
+    // Not a poll interval: changes arrive as soon as they happen, and this
+    // only limits how long each long-poll waits when nothing does
+    env: "POLL_TIMEOUT",
+    flag: "--poll-timeout",
+    type: "duration",
+    default: 30000,
+    description: "How long each _changes long-poll waits for a change (ms)",
+  },
+  resyncDelay: {
+    env: "RESYNC_DELAY",
+    flag: "--resync-delay",
+    type: "duration",
+    default: 15000,
+    description: "Wait before a full resync after an error (ms)",
+  },
+  simulatorInterval: {
+    env: "SIMULATOR_INTERVAL",
+    flag: "--simulator-interval",
+    type: "duration",
+    default: 3000,
+    description: "Advance simulated meets every N ms",
+  },
+  lightsHoldTime: {
+    env: "LIGHTS_HOLD_TIME",
+    flag: "--lights-hold-time",
+    type: "duration",
+    default: LIGHTS_HOLD_TIME,
+    description: "How long referee lights stay on once revealed (ms)",
+  },
+  meet: {
+    env: "MEET_ID",
+    flag: "--meet",
+    type: "string",
+    default: null,
+    description: "Meet to follow from startup and show viewers",
+  },
+  federation: {
+    env: "FEDERATION",
+    flag: "--federation",
+    type: "string",
+    default: "IPF",
+    description: "Federation for that meet",
+  },
+  federationsFile: {
+    env: "FEDERATIONS_FILE",
+    flag: "--federations-file",
+    type: "file",
+    default: join(ROOT_DIR, "federations.json"),
+    description: "Federation configurations",
+  },
+  dumpDir: {
+    env: "DUMP_DIR",
+    flag: "--dump-dir",
+    type: "path",
+    default: join(ROOT_DIR, "dumps"),
+    description: "Directory of meet dumps for file: meets",
+  },
+  recordingsDir: {
+    env: "RECORDINGS_DIR",
+    flag: "--recordings-dir",
+    type: "path",
+    default: join(ROOT_DIR, "recordings"),
+    description: "Directory of recordings for replay: meets",
+  },
+  recordMeets: {
+    env: "RECORD_MEETS",
+    flag: "--record-meets",
+    type: "boolean",
+    default: false,
+    description: "Save raw doc deltas for replay",
+  },
+  adminToken: {
+    // No flag, to keep it out of the process list
+    env: "ADMIN_TOKEN",
+    flag: null,
+    type: "string",
+    default: null,
+    description: "Admin password; without one, every client is an admin",
+  },
+  logLevel: {
+    env: "LOG_LEVEL",
+    flag: "--log-level",
+    type: "logLevel",
+    default: "info",
+    description: `One of ${LOG_LEVELS.join(", ")}`,
+  },
+};
+
+/**
+ * Check and convert a setting's value from the config file (any JSON type)
+ * or the environment or command line (a string). Relative paths are resolved
+ * against `baseDir`. Returns `{ value }` or `{ error }`.
+ */
+function parseValue(option, raw, baseDir) {
+  const text = String(raw).trim();
+
+  switch (option.type) {
+    case "port": {
+      const port = Number(text);
+      return Number.isInteger(port) && port > 0 && port < 65536
+        ? { value: port }
+        : { error: "must be a port number (1-65535)" };
+    }
+    case "duration": {
+      const ms = Number(text);
+      return Number.isInteger(ms) && ms > 0
+        ? { value: ms }
+        : { error: "must be a whole number of ms above 0" };
+    }
+    case "boolean": {
+      const value = text.toLowerCase();
+      if (["true", "1", "yes"].includes(value)) return { value: true };
+      if (["false", "0", "no"].includes(value)) return { value: false };
+      return { error: "must be true or false" };
+    }
+    case "url":
+      try {
+        const url = new URL(text);
+        if (url.protocol !== "http:" && url.protocol !== "https:") {
+          return { error: "must be an http or https URL" };
+        }
+        return { value: text.replace(/\/+$/, "") };
+      } catch (err) {
+        return { error: "must be a URL" };
+      }
+    case "file": {
+      const path = resolve(baseDir, text);
+      return existsSync(path)
+        ? { value: path }
+        : { error: `file not found: ${path}` };
+    }
+    case "path":
+      return text ? { value: resolve(baseDir, text) } : { error: "is empty" };
+    case "logLevel":
+      return LOG_LEVELS.includes(text.toLowerCase())
+        ? { value: text.toLowerCase() }
+        : { error: `must be one of ${LOG_LEVELS.join(", ")}` };
+    default:
+      return text ? { value: text } : { error: "is empty" };
+  }
+}
+
+/**
+ * Split command line arguments into flag values (`--port 9001` or
+ * `--port=9001`; boolean flags can leave the value off) and the config file
+ * (`--config`)
+ */
+function parseArgs(argv, errors) {
+  const values = {};
+  let configFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+    const name = Object.keys(OPTIONS).find((key) => OPTIONS[key].flag === flag);
+
+    if (flag !== "--config" && !name) {
+      errors.push(`Unknown option ${flag}`);
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith("--")) {
+        value = next;
+        i++;
+      } else if (name && OPTIONS[name].type === "boolean") {
+        value = "true";
+      } else {
+        errors.push(`${flag} needs a value`);
+        continue;
+      }
+    }
+
+    if (flag === "--config") {
+      configFile = value;
+    } else {
+      values[name] = value;
+    }
+  }
+
+  return { values, configFile };
+}
+
+/**
+ * Read the JSON config file, if there is one
+ */
+function readConfigFile(path, errors) {
+  try {
+    const settings = JSON.parse(readFileSync(path, "utf8"));
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      errors.push(`${path} must hold a JSON object`);
+      return {};
+    }
+    return settings;
+  } catch (err) {
+    errors.push(`Can't read config file ${path}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Work out the server's settings from the defaults, a config file
+ * (`--config` or `CONFIG_FILE`), environment variables and command line
+ * flags. Throws listing every problem found if any setting is invalid.
+ */
+export function loadConfig(argv = [], env = {}) {
+  const errors = [];
+  const args = parseArgs(argv, errors);
+  const configFile = args.configFile || env.CONFIG_FILE || null;
+  const config = {};
+
+  Object.entries(OPTIONS).forEach(([name, option]) => {
+    config[name] = option.default;
+  });
+
+  const apply = (name, raw, source, baseDir) => {
+    if (raw === undefined || raw === null || raw === "") return;
+    const { value, error } = parseValue(OPTIONS[name], raw, baseDir);
+    if (error) {
+      errors.push(`${name} (${source}) ${error}`);
+    } else {
+      config[name] = value;
+    }
+  };
+
+  if (configFile) {
+    const path = resolve(configFile);
+    const settings = readConfigFile(path, errors);
+    Object.entries(settings).forEach(([name, raw]) => {
+      if (!OPTIONS[name]) {
+        errors.push(`Unknown setting "${name}" in ${path}`);
+        return;
+      }
+      apply(name, raw, path, dirname(path));
+    });
+  }
+
+  Object.entries(OPTIONS).forEach(([name, option]) => {
+    apply(name, env[option.env], option.env, process.cwd());
+  });
+
+  Object.entries(args.values).forEach(([name, raw]) => {
+    apply(name, raw, OPTIONS[name].flag, process.cwd());
+  });
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration:\n${errors.map((e) => `  - ${e}`).join("\n")}`
+    );
+  }
+
+  return config;
+}
+
+/**
+ * Command line help, listing every setting
+ */
+export function getUsage() {
+  const lines = Object.entries(OPTIONS).map(([name, option]) => {
+    const flag = option.flag ? `${option.flag} <value>` : "(no flag)";
+    const fallback =
+      option.default === null ? "" : ` (default: ${option.default})`;
+    return `  ${flag.padEnd(30)} ${option.env.padEnd(20)} ${name.padEnd(18)} ${
+      option.description
+    }${fallback}`;
+  });
+
+  return [
+    "Usage: node server.js [--config <file>] [options]",
+    "",
+    `  ${"Flag".padEnd(30)} ${"Environment".padEnd(20)} ${"Config file".padEnd(
+      18
+    )} Description`,
+    ...lines,
+    "",
+    "A config file (--config or CONFIG_FILE) is JSON with settings by name.",
+    "Flags override environment variables, which override the config file.",
+  ].join("\n");
+}
+
+/**
+ * Quieten console output below a log level: "error" keeps console.error,
+ * "warn" adds console.warn, "info" adds console.log and console.info, and
+ * "debug" adds console.debug
+ */
+export function applyLogLevel(level) {
+  const rank = LOG_LEVELS.indexOf(level);
+  const quiet = () => {};
+
+  if (rank < LOG_LEVELS.indexOf("warn")) console.warn = quiet;
+  if (rank < LOG_LEVELS.indexOf("info")) {
+    console.log = quiet;
+    console.info = quiet;
+  }
+  if (rank < LOG_LEVELS.indexOf("debug")) console.debug = quiet;
+}
@@ -0,0 +1,170 @@
+import { getLiftType, getEventLifts } from "./lifts.js";
+
+// How many events each meet keeps, for clients that join late and the event
+// history endpoint
+export const EVENT_HISTORY_SIZE = 200;
+
+/**
+ * The lifter's total once they have a good lift in every lift of their
+ * event, otherwise 0
+ */
+function getFullTotal(lifter) {
+  return getEventLifts(lifter).every((lift) => lifter[lift].best > 0)
+    ? lifter.total
+    : 0;
+}
+
+/**
+ * The lift a lifter bombed out of (three misses), or null
+ */
+function getBombedOutLift(lifter) {
+  return (
+    getEventLifts(lifter).find((lift) =>
+      [1, 2, 3].every((n) => lifter[lift][n] < 0)
+    ) || null
+  );
+}
+
+/**
+ * What events are worked out from, as of one update: each attempt's weight
+ * and result, and each lifter's full total, place, bomb-out and records set
+ */
+export function getEventState(meet) {
+  const attempts = new Map();
+  Object.values(meet.attempts).forEach((attempt) => {
+    attempts.set(attempt.id, {
+      weight: parseFloat(attempt.weight) || 0,
+      result: attempt.result ? String(attempt.result).toLowerCase() : null,
+    });
+  });
+
+  const lifters = new Map();
+  Object.values(meet.lifters).forEach((lifter) => {
+    lifters.set(lifter.id, {
+      total: getFullTotal(lifter),
+      place: lifter.place,
+      bombedOut: getBombedOutLift(lifter),
+      records: Object.keys(lifter.records).filter(
+        (lift) => lifter.records[lift].set
+      ),
+    });
+  });
+
+  return { attempts, lifters };
+}
+
+/**
+ * Compare two event states of a meet and describe what happened in between,
+ * lifts first, then what they did to each lifter's standing. Each event has
+ * a `type`, the lifter it's about and details for its type.
+ */
+export function detectEvents(previous, current, meet) {
+  const events = [];
+  const add = (type, lifter, details) => {
+    events.push({
+      type,
+      lifterId: lifter.id,
+      name: lifter.name,
+      platformId: lifter.platformId,
+      ...details,
+    });
+  };
+
+  Object.values(meet.attempts).forEach((attempt) => {
+    const lifter = meet.lifters[attempt.lifterId];
+    const before = previous.attempts.get(attempt.id);
+    const after = current.attempts.get(attempt.id);
+    if (!lifter || !after) return;
+
+    const details = {
+      lift: getLiftType(attempt.liftName),
+      attemptNumber: parseInt(attempt.attemptNumber),
+      weight: after.weight,
+    };
+
+    // Declared, or changed before being taken
+    if (
+      after.result === null &&
+      after.weight > 0 &&
+      after.weight !== (before?.weight || 0)
+    ) {
+      add("attempt-declared", lifter, {
+        ...details,
+        previousWeight: before?.weight || null,
+      });
+    }
+
+    if (after.result !== null && after.result !== before?.result) {
+      add(after.result === "good" ? "good-lift" : "no-lift", lifter, details);
+    }
+  });
+
+  // New lifters have nothing to compare with until their next change
+  Object.values(meet.lifters).forEach((lifter) => {
+    const before = previous.lifters.get(lifter.id);
+    const after = current.lifters.get(lifter.id);
+    if (!before || !after) return;
+
+    after.records
+      .filter((lift) => !before.records.includes(lift))
+      .forEach((lift) => {
+        add("record-set", lifter, {
+          lift,
+          weight: lift === "total" ? after.total : lifter[lift].best,
+          record: lifter.records[lift].record,
+        });
+      });
+
+    if (after.total > before.total) {
+      add("new-total", lifter, {
+        total: after.total,
+        previousTotal: before.total || null,
+      });
+    }
+
+    if (
+      before.place !== null &&
+      after.place !== null &&
+      after.place !== before.place
+    ) {
+      add("place-change", lifter, {
+        place: after.place,
+        previousPlace: before.place,
+        division: lifter.division,
+        weightClass: lifter.weightClass,
+      });
+    }
+
+    if (after.bombedOut && !before.bombedOut) {
+      add("bombed-out", lifter, { lift: after.bombedOut });
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Work out what happened in a meet since its last update and add it to
+ * `meet.events`, each event numbered one on from the last and timestamped.
+ * Returns the new events. The first update after a (re)load only sets the
+ * state to compare with, so a full load is never reported as news.
+ */
+export function updateMeetEvents(meet, isLoad = false) {
+  const state = getEventState(meet);
+  const detected =
+    meet.eventState && !isLoad
+      ? detectEvents(meet.eventState, state, meet)
+      : [];
+  meet.eventState = state;
+
+  const time = Date.now();
+  const events = detected.map((event) => ({
+    id: ++meet.lastEventId,
+    time,
+    ...event,
+  }));
+
+  meet.events.push(...events);
+  meet.events.splice(0, meet.events.length - EVENT_HISTORY_SIZE);
+  return events;
+}
@@ -0,0 +1,264 @@
+import { LIFTS } from "./lifts.js";
+
+// OpenPowerlifting equipment names by LiftingCast `rawOrEquipped`
+const OPENPOWERLIFTING_EQUIPMENT = {
+  RAW: "Raw",
+  RAW_WITH_WRAPS: "Wraps",
+  SINGLE_PLY: "Single-ply",
+  EQUIPPED: "Single-ply",
+  MULTI_PLY: "Multi-ply",
+  UNLIMITED: "Unlimited",
+};
+
+/**
+ * Quote a CSV field if it needs it
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return (
+    [header, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n") +
+    "\r\n"
+  );
+}
+
+/**
+ * A weight for export, or empty when there isn't one (e.g. attempts not yet
+ * taken)
+ */
+function exportWeight(weight) {
+  return weight ? weight : "";
+}
+
+function isPounds(meet) {
+  return String(meet.meetInfo?.units || "KG")
+    .toUpperCase()
+    .startsWith("LB");
+}
+
+/**
+ * One row per lifter per division entered, in division, sex, weight class
+ * and place order
+ */
+function getEntryRows(meet) {
+  return Object.values(meet.lifters)
+    .flatMap((lifter) => lifter.divisions.map((entry) => ({ lifter, entry })))
+    .sort(
+      (a, b) =>
+        a.entry.division.localeCompare(b.entry.division) ||
+        a.lifter.sex.localeCompare(b.lifter.sex) ||
+        (parseFloat(a.entry.weightClass) || 0) -
+          (parseFloat(b.entry.weightClass) || 0) ||
+        (a.entry.place ?? Infinity) - (b.entry.place ?? Infinity)
+    );
+}
+
+/**
+ * Full results as CSV: attempts (failed attempts negative), bests, totals,
+ * places and points, in the meet's units
+ */
+export function toResultsCsv(meet) {
+  const header = [
+    "Place",
+    "Name",
+    "Sex",
+    "Division",
+    "Equipment",
+    "Event",
+    "WeightClass",
+    "Bodyweight",
+    "Team",
+    "Lot",
+    "Session",
+    "Flight",
+    ...LIFTS.flatMap((lift) => [
+      `${lift}1`,
+      `${lift}2`,
+      `${lift}3`,
+      `${lift}Best`,
+    ]),
+    "Total",
+    "IPFGL",
+    "Dots",
+    "Wilks",
+    "Units",
+  ];
+
+  const units = isPounds(meet) ? "LBS" : "KG";
+  const rows = getEntryRows(meet).map(({ lifter, entry }) => [
+    entry.place ?? "",
+    lifter.name,
+    lifter.sex,
+    entry.division,
+    entry.equipment,
+    entry.event,
+    entry.weightClass,
+    exportWeight(lifter.bodyweight),
+    lifter.team,
+    lifter.lot ?? "",
+    lifter.session ?? "",
+    lifter.flight,
+    ...LIFTS.flatMap((lift) => [
+      exportWeight(lifter[lift][1]),
+      exportWeight(lifter[lift][2]),
+      exportWeight(lifter[lift][3]),
+      exportWeight(lifter[lift].best),
+    ]),
+    exportWeight(lifter.total),
+    lifter.points.ipfgl || "",
+    lifter.points.dots || "",
+    lifter.points.wilks || "",
+    units,
+  ]);
+
+  return toCsv(header, rows);
+}
+
+/**
+ * Full results as JSON, one entry per lifter with each of their divisions
+ */
+export function toResultsJson(meet) {
+  const lifters = Object.values(meet.lifters).map((lifter) => ({
+    id: lifter.id,
+    name: lifter.name,
+    sex: lifter.sex,
+    bodyweight: lifter.bodyweight,
+    team: lifter.team,
+    lot: lifter.lot,
+    platformId: lifter.platformId,
+    session: lifter.session,
+    flight: lifter.flight,
+    divisions: lifter.divisions.map((entry) => ({
+      divisionId: entry.divisionId,
+      division: entry.division,
+      weightClass: entry.weightClass,
+      equipment: entry.equipment,
+      event: entry.event,
+      place: entry.place,
+      pointsRank: entry.pointsRank,
+    })),
+    squat: lifter.squat,
+    bench: lifter.bench,
+    deadlift: lifter.deadlift,
+    total: lifter.total,
+    points: lifter.points,
+    pointsRank: lifter.pointsRank,
+  }));
+
+  return JSON.stringify(
+    {
+      meet: {
+        name: meet.meetInfo?.name || "",
+        date: meet.meetInfo?.date || "",
+        federation: meet.federation,
+        units: isPounds(meet) ? "LBS" : "KG",
+      },
+      pointsFormula: meet.pointsFormula,
+      lastUpdate: meet.lastUpdate,
+      lifters,
+      teamStandings: meet.teamStandings,
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * OpenPowerlifting's Place: the place, "DQ" for lifters without a good lift
+ * in each of their event's lifts, or "NS" for lifters who never took an
+ * attempt
+ */
+function getOpenPowerliftingPlace(lifter, entry) {
+  const lifts = entry.event === "B" ? ["bench"] : LIFTS;
+  if (entry.place && lifts.every((lift) => lifter[lift].best > 0)) {
+    return entry.place;
+  }
+
+  const tookAttempt = lifts.some((lift) =>
+    [1, 2, 3].some((attempt) => lifter[lift][attempt] !== 0)
+  );
+  return tookAttempt ? "DQ" : "NS";
+}
+
+/**
+ * Results in OpenPowerlifting's entries.csv format. Meets in pounds use
+ * their LBS columns, which OpenPowerlifting converts.
+ */
+export function toOpenPowerliftingCsv(meet) {
+  const unit = isPounds(meet) ? "LBS" : "Kg";
+  const liftColumns = {
+    squat: "Squat",
+    bench: "Bench",
+    deadlift: "Deadlift",
+  };
+
+  const header = [
+    "Place",
+    "Name",
+    "Sex",
+    "Event",
+    "Equipment",
+    "Division",
+    `Bodyweight${unit}`,
+    `WeightClass${unit}`,
+    ...LIFTS.flatMap((lift) => [
+      `${liftColumns[lift]}1${unit}`,
+      `${liftColumns[lift]}2${unit}`,
+      `${liftColumns[lift]}3${unit}`,
+      `Best3${liftColumns[lift]}${unit}`,
+    ]),
+    `Total${unit}`,
+    "Team",
+  ];
+
+  const rows = getEntryRows(meet).map(({ lifter, entry }) => {
+    const place = getOpenPowerliftingPlace(lifter, entry);
+    const benchOnly = entry.event === "B";
+
+    return [
+      place,
+      lifter.name,
+      lifter.sex === "FEMALE" ? "F" : "M",
+      entry.event,
+      OPENPOWERLIFTING_EQUIPMENT[String(entry.equipment).toUpperCase()] ||
+        "Raw",
+      entry.division,
+      exportWeight(lifter.bodyweight),
+      entry.weightClass === "0" ? "" : entry.weightClass,
+      ...LIFTS.flatMap((lift) =>
+        benchOnly && lift !== "bench"
+          ? ["", "", "", ""]
+          : [
+              exportWeight(lifter[lift][1]),
+              exportWeight(lifter[lift][2]),
+              exportWeight(lifter[lift][3]),
+              // Lifters who are out have no best lifts or total
+              typeof place === "number" ? exportWeight(lifter[lift].best) : "",
+            ]
+      ),
+      typeof place === "number" ? exportWeight(lifter.total) : "",
+      lifter.team,
+    ];
+  });
+
+  return toCsv(header, rows);
+}
+
+// Export routes by file name
+export const EXPORT_FORMATS = {
+  "results.csv": {
+    contentType: "text/csv; charset=utf-8",
+    build: toResultsCsv,
+  },
+  "results.json": {
+    contentType: "application/json",
+    build: toResultsJson,
+  },
+  "openpowerlifting.csv": {
+    contentType: "text/csv; charset=utf-8",
+    build: toOpenPowerliftingCsv,
+  },
+};
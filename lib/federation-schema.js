@@ -0,0 +1,265 @@
+import { POINTS_FORMULAS } from "./points.js";
+
+// Equipment levels a federation can list, as LiftingCast names them
+export const EQUIPMENT_LEVELS = [
+  "RAW",
+  "RAW_WITH_WRAPS",
+  "EQUIPPED",
+  "SINGLE_PLY",
+  "MULTI_PLY",
+];
+
+/**
+ * How lifters with the same total are placed:
+ *
+ * - `bodyweight`: the lighter lifter places higher, then the lower lot number
+ * - `lot`: the lower lot number places higher
+ * - `shared`: tied lifters share the place
+ */
+export const TIE_BREAKS = ["bodyweight", "lot", "shared"];
+
+// Sexes weight classes are listed for
+const SEXES = ["FEMALE", "MALE"];
+
+// A weight class's upper limit in kg, with "+" on the open-ended top class
+const WEIGHT_CLASS_PATTERN = /^\d+(\.\d+)?\+?$/;
+
+// Fields a federation can have; any others are reported as unknown
+const FIELDS = [
+  "name",
+  "equipmentLevels",
+  "drugTested",
+  "pointsFormula",
+  "tieBreak",
+  "recordsFile",
+  "teamScoring",
+  "weightClasses",
+  "divisions",
+  "ageBrackets",
+];
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function validateWeightClasses(weightClasses, error) {
+  if (!isObject(weightClasses)) {
+    error("weightClasses", "must be an object with FEMALE and MALE classes");
+    return;
+  }
+
+  Object.keys(weightClasses)
+    .filter((sex) => !SEXES.includes(sex))
+    .forEach((sex) => error(`weightClasses.${sex}`, "is not FEMALE or MALE"));
+
+  SEXES.forEach((sex) => {
+    const path = `weightClasses.${sex}`;
+    const classes = weightClasses[sex];
+    if (!isObject(classes) || Object.keys(classes).length === 0) {
+      error(path, 'must list at least one class, e.g. { "w-0": "52" }');
+      return;
+    }
+
+    const values = Object.values(classes);
+    const invalid = values.filter(
+      (value) => typeof value !== "string" || !WEIGHT_CLASS_PATTERN.test(value)
+    );
+    if (invalid.length > 0) {
+      error(
+        path,
+        `has invalid classes ${invalid
+          .map((value) => JSON.stringify(value))
+          .join(", ")}; use kg like "52", "67.5" or "120+"`
+      );
+      return;
+    }
+
+    // The "+" class starts where the one below it ends, e.g. "120" then "120+"
+    const limits = values.map((value) => parseFloat(value));
+    const isOutOfOrder = (limit, i) =>
+      values[i].endsWith("+") ? limit < limits[i - 1] : limit <= limits[i - 1];
+    if (limits.some((limit, i) => i > 0 && isOutOfOrder(limit, i))) {
+      error(path, "must go from lightest to heaviest");
+    }
+    if (values.slice(0, -1).some((value) => value.endsWith("+"))) {
+      error(path, 'can only have a "+" class at the top');
+    }
+  });
+}
+
+function validateAgeBrackets(ageBrackets, divisions, error) {
+  if (!isObject(ageBrackets)) {
+    error("ageBrackets", "must be an object of { min, max } by division");
+    return;
+  }
+
+  Object.entries(ageBrackets).forEach(([code, bracket]) => {
+    const path = `ageBrackets.${code}`;
+    if (isObject(divisions) && !(code in divisions)) {
+      error(path, "is not one of the federation's divisions");
+    }
+    if (!isObject(bracket)) {
+      error(path, 'must be an object like { "min": 19, "max": 23 }');
+      return;
+    }
+
+    const { min = null, max = null } = bracket;
+    const isAge = (age) => age === null || (Number.isInteger(age) && age >= 0);
+    if (!isAge(min) || !isAge(max)) {
+      error(path, "min and max must be whole ages, or left out");
+    } else if (min === null && max === null) {
+      error(path, "needs a min or max age");
+    } else if (min !== null && max !== null && min > max) {
+      error(path, "min must not be above max");
+    }
+
+    Object.keys(bracket)
+      .filter((key) => key !== "min" && key !== "max")
+      .forEach((key) => error(`${path}.${key}`, "is not min or max"));
+  });
+}
+
+function validateTeamScoring(teamScoring, error) {
+  if (!isObject(teamScoring)) {
+    error("teamScoring", "must be an object");
+    return;
+  }
+
+  const { method, placePoints, formula, topN } = teamScoring;
+  if (method !== undefined && method !== "place" && method !== "points") {
+    error("teamScoring.method", 'must be "place" or "points"');
+  }
+  if (
+    placePoints !== undefined &&
+    !(
+      Array.isArray(placePoints) &&
+      placePoints.every((points) => typeof points === "number" && points >= 0)
+    )
+  ) {
+    error("teamScoring.placePoints", "must be a list of points for each place");
+  }
+  if (formula !== undefined && !POINTS_FORMULAS[formula]) {
+    error(
+      "teamScoring.formula",
+      `must be one of ${Object.keys(POINTS_FORMULAS).join(", ")}`
+    );
+  }
+  if (
+    topN !== undefined &&
+    topN !== null &&
+    !(Number.isInteger(topN) && topN > 0)
+  ) {
+    error("teamScoring.topN", "must be a whole number above 0, or null");
+  }
+}
+
+/**
+ * Check one federation's configuration, adding a message to `errors` for
+ * each problem found
+ */
+function validateFederation(key, federation, errors) {
+  const error = (path, message) => errors.push(`${key}.${path} ${message}`);
+
+  if (!isObject(federation)) {
+    errors.push(`${key} must be an object`);
+    return;
+  }
+
+  Object.keys(federation)
+    .filter((field) => !FIELDS.includes(field))
+    .forEach((field) => error(field, "is not a federation setting"));
+
+  if (!isNonEmptyString(federation.name)) {
+    error("name", "is required");
+  }
+
+  if (
+    !Array.isArray(federation.equipmentLevels) ||
+    federation.equipmentLevels.length === 0
+  ) {
+    error("equipmentLevels", "must list at least one equipment level");
+  } else {
+    federation.equipmentLevels
+      .filter((level) => !EQUIPMENT_LEVELS.includes(level))
+      .forEach((level) =>
+        error(
+          "equipmentLevels",
+          `has unknown level ${JSON.stringify(
+            level
+          )}; use ${EQUIPMENT_LEVELS.join(", ")}`
+        )
+      );
+  }
+
+  if (
+    federation.drugTested !== undefined &&
+    typeof federation.drugTested !== "boolean"
+  ) {
+    error("drugTested", "must be true or false");
+  }
+
+  if (!POINTS_FORMULAS[federation.pointsFormula]) {
+    error(
+      "pointsFormula",
+      `must be one of ${Object.keys(POINTS_FORMULAS).join(", ")}`
+    );
+  }
+
+  if (
+    federation.tieBreak !== undefined &&
+    !TIE_BREAKS.includes(federation.tieBreak)
+  ) {
+    error("tieBreak", `must be one of ${TIE_BREAKS.join(", ")}`);
+  }
+
+  if (
+    federation.recordsFile !== undefined &&
+    !isNonEmptyString(federation.recordsFile)
+  ) {
+    error("recordsFile", "must be a path");
+  }
+
+  if (federation.teamScoring !== undefined) {
+    validateTeamScoring(federation.teamScoring, error);
+  }
+
+  validateWeightClasses(federation.weightClasses, error);
+
+  if (
+    !isObject(federation.divisions) ||
+    Object.keys(federation.divisions).length === 0
+  ) {
+    error("divisions", 'must list at least one division, e.g. { "O": "Open" }');
+  } else {
+    Object.entries(federation.divisions)
+      .filter(([, name]) => !isNonEmptyString(name))
+      .forEach(([code]) => error(`divisions.${code}`, "must be a name"));
+  }
+
+  if (federation.ageBrackets !== undefined) {
+    validateAgeBrackets(federation.ageBrackets, federation.divisions, error);
+  }
+}
+
+/**
+ * Check a whole federations file against the schema. Returns a message for
+ * each problem found, or an empty list when it's valid.
+ */
+export function validateFederationConfigs(configs) {
+  if (!isObject(configs)) {
+    return ["must be an object of federations by key"];
+  }
+
+  const errors = [];
+  if (Object.keys(configs).length === 0) {
+    errors.push("must have at least one federation");
+  }
+  Object.entries(configs).forEach(([key, federation]) =>
+    validateFederation(key, federation, errors)
+  );
+  return errors;
+}
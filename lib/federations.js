@@ -0,0 +1,101 @@
+import { readFileSync, watchFile } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { validateFederationConfigs } from "./federation-schema.js";
+
+// ES6 module support
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// How often to check the federations file for changes (ms)
+const WATCH_INTERVAL = 2000;
+
+// Unknown federations already warned about, so each is only logged once
+const warnedFederations = new Set();
+
+/**
+ * Read and validate a federations file. Throws listing every problem found.
+ */
+function readFederationConfigs(path) {
+  let configs;
+  try {
+    configs = JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    throw new Error(`Can't read federations file ${path}: ${err.message}`);
+  }
+
+  const errors = validateFederationConfigs(configs);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid federations file ${path}:\n${errors
+        .map((e) => `  - ${e}`)
+        .join("\n")}`
+    );
+  }
+
+  return configs;
+}
+
+// Federations used until another file is loaded
+const DEFAULT_FEDERATIONS_FILE = join(__dirname, "..", "federations.json");
+
+// Loaded federation configurations. The built-in file is only read on first
+// use, so a server started with another file never depends on it.
+export let federationConfigs = null;
+
+function getFederationConfigs() {
+  if (!federationConfigs) {
+    federationConfigs = readFederationConfigs(DEFAULT_FEDERATIONS_FILE);
+  }
+  return federationConfigs;
+}
+
+/**
+ * Load federation configurations from another file in place of the built-in
+ * federations.json
+ */
+export function loadFederationConfigs(path) {
+  federationConfigs = readFederationConfigs(path);
+  warnedFederations.clear();
+}
+
+/**
+ * Reload the federations file whenever it changes, then call `onReload`. A
+ * file that fails validation is reported and the previous configurations are
+ * kept.
+ */
+export function watchFederationConfigs(path, onReload) {
+  watchFile(path, { interval: WATCH_INTERVAL }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+
+    try {
+      loadFederationConfigs(path);
+    } catch (err) {
+      console.error(`${err.message}\nKeeping the previous federations`);
+      return;
+    }
+
+    console.log(`Reloaded federations from ${path}`);
+    onReload();
+  });
+}
+
+/**
+ * Get a federation's configuration, falling back to IPF (or the first
+ * federation, in a file without IPF) with a warning for unknown keys
+ */
+export function getFederationConfig(federation) {
+  const configs = getFederationConfigs();
+  if (configs[federation]) {
+    return configs[federation];
+  }
+
+  const fallback = configs["IPF"] ? "IPF" : Object.keys(configs)[0];
+  if (!warnedFederations.has(federation)) {
+    warnedFederations.add(federation);
+    console.warn(
+      `Unknown federation ${federation}, using ${fallback}'s configuration`
+    );
+  }
+  return configs[fallback];
+}
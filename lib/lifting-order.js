@@ -0,0 +1,126 @@
+import { LIFTS, getLiftType } from "./lifts.js";
+
+// How many upcoming attempts to list per platform
+const UPCOMING_LIMIT = 20;
+
+function isPending(attempt) {
+  return attempt.result === null || attempt.result === undefined;
+}
+
+function getLot(lifter) {
+  const lot = parseInt(lifter.lot);
+  return isNaN(lot) ? Infinity : lot;
+}
+
+/**
+ * Order attempts within one flight and lift: by round, then declared weight
+ * (undeclared attempts last), then lot number
+ */
+function compareAttempts(a, b, lifters) {
+  const roundA = parseInt(a.attemptNumber);
+  const roundB = parseInt(b.attemptNumber);
+  if (roundA !== roundB) return roundA - roundB;
+
+  const weightA = parseFloat(a.weight) || Infinity;
+  const weightB = parseFloat(b.weight) || Infinity;
+  if (weightA !== weightB) return weightA - weightB;
+
+  return getLot(lifters[a.lifterId]) - getLot(lifters[b.lifterId]);
+}
+
+/**
+ * Groups of attempts lifted together on a platform, in the order they are
+ * run: each session in turn, and within it every flight takes a lift before
+ * the session moves on to the next lift
+ */
+function getPlatformGroups(platformId, lifters, attempts) {
+  const groups = new Map();
+
+  Object.values(attempts).forEach((attempt) => {
+    const lifter = lifters[attempt.lifterId];
+    if (!lifter || lifter.platformId !== platformId) return;
+
+    const lift = getLiftType(attempt.liftName);
+    const liftIndex = LIFTS.indexOf(lift);
+    if (liftIndex === -1) return;
+
+    const key = `${lifter.session}|${liftIndex}|${lifter.flight}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        session: lifter.session,
+        liftIndex,
+        lift,
+        flight: lifter.flight,
+        attempts: [],
+      });
+    }
+    groups.get(key).attempts.push(attempt);
+  });
+
+  return Array.from(groups.values()).sort((a, b) => {
+    const sessionA = parseInt(a.session) || 0;
+    const sessionB = parseInt(b.session) || 0;
+    if (sessionA !== sessionB) return sessionA - sessionB;
+    if (a.liftIndex !== b.liftIndex) return a.liftIndex - b.liftIndex;
+    return String(a.flight).localeCompare(String(b.flight));
+  });
+}
+
+function toEntry(attempt) {
+  return attempt ? { attemptId: attempt.id, lifterId: attempt.lifterId } : null;
+}
+
+/**
+ * Work out each platform's lifting order from the declared attempts of the
+ * lifters assigned to it. Sets `platform.liftingOrder` to:
+ *
+ * - `session`, `flight` and `lift` being lifted,
+ * - `current`, `next` and `inTheHole`: `{ attemptId, lifterId }` or null,
+ * - `upcoming`: the following attempts in order, as `{ attemptId, lifterId }`.
+ *
+ * The order starts from the platform's current attempt, or from the first
+ * flight with attempts left when no attempt is current.
+ */
+export function calculateLiftingOrder(platforms, lifters, attempts) {
+  Object.values(platforms).forEach((platform) => {
+    const groups = getPlatformGroups(platform.id, lifters, attempts);
+    const currentAttempt = attempts[platform.currentAttemptId] || null;
+
+    // Start from the group the current attempt belongs to
+    let startIndex = 0;
+    if (currentAttempt) {
+      const index = groups.findIndex((group) =>
+        group.attempts.includes(currentAttempt)
+      );
+      startIndex = Math.max(index, 0);
+    }
+
+    const queue = [];
+    for (
+      let i = startIndex;
+      i < groups.length && queue.length < UPCOMING_LIMIT + 3;
+      i++
+    ) {
+      groups[i].attempts
+        .filter((attempt) => isPending(attempt) && attempt !== currentAttempt)
+        .sort((a, b) => compareAttempts(a, b, lifters))
+        .forEach((attempt) => queue.push(attempt));
+    }
+
+    // Without a current attempt, the first one waiting is up
+    const current = currentAttempt || queue.shift() || null;
+    const group = current
+      ? groups.find((g) => g.attempts.includes(current))
+      : null;
+
+    platform.liftingOrder = {
+      session: group ? group.session : null,
+      flight: group ? group.flight : null,
+      lift: group ? group.lift : null,
+      current: toEntry(current),
+      next: toEntry(queue[0]),
+      inTheHole: toEntry(queue[1]),
+      upcoming: queue.slice(0, UPCOMING_LIMIT).map(toEntry),
+    };
+  });
+}
@@ -0,0 +1,19 @@
+// Lifts in competition order
+export const LIFTS = ["squat", "bench", "deadlift"];
+
+/**
+ * Lift an attempt belongs to: "squat", "bench" or "deadlift"
+ */
+export function getLiftType(liftName) {
+  const liftType = String(liftName).toLowerCase();
+
+  // Handle inconsistent naming: "dead" vs "deadlift"
+  return liftType === "dead" ? "deadlift" : liftType;
+}
+
+/**
+ * The lifts a lifter's event is decided on, in competition order
+ */
+export function getEventLifts(lifter) {
+  return lifter.event === "B" ? ["bench"] : LIFTS;
+}
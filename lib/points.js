@@ -0,0 +1,131 @@
+// Formula keys, as used in lifter.points and the federation `pointsFormula`
+export const POINTS_FORMULAS = {
+  ipfgl: "IPF GL",
+  dots: "Dots",
+  wilks: "Wilks",
+};
+
+// The formulas take bodyweight and total in kilograms
+export const LBS_PER_KG = 2.20462;
+
+// IPF GL coefficients (2020) [A, B, C] by sex, equipment and event
+const IPF_GL_COEFFICIENTS = {
+  MALE: {
+    classic: {
+      SBD: [1199.72839, 1025.18162, 0.00921],
+      B: [320.98041, 281.40258, 0.01008],
+    },
+    equipped: {
+      SBD: [1236.25115, 1449.21864, 0.01644],
+      B: [381.22073, 733.79378, 0.02398],
+    },
+  },
+  FEMALE: {
+    classic: {
+      SBD: [610.32796, 1045.59282, 0.03048],
+      B: [142.40398, 442.52671, 0.04724],
+    },
+    equipped: {
+      SBD: [758.63878, 949.31382, 0.02435],
+      B: [221.82209, 357.00377, 0.02937],
+    },
+  },
+};
+
+// Dots polynomial coefficients, lowest power first, with bodyweight limits
+const DOTS_COEFFICIENTS = {
+  MALE: {
+    terms: [-307.75076, 24.0900756, -0.1918759221, 0.0007391293, -0.000001093],
+    min: 40,
+    max: 210,
+  },
+  FEMALE: {
+    terms: [-57.96288, 13.6175032, -0.1126655495, 0.0005158568, -0.0000010706],
+    min: 40,
+    max: 150,
+  },
+};
+
+// Wilks polynomial coefficients, lowest power first, with bodyweight limits
+const WILKS_COEFFICIENTS = {
+  MALE: {
+    terms: [
+      -216.0475144, 16.2606339, -0.002388645, -0.00113732, 7.01863e-6,
+      -1.291e-8,
+    ],
+    min: 40,
+    max: 201.9,
+  },
+  FEMALE: {
+    terms: [
+      594.31747775582, -27.23842536447, 0.82112226871, -0.00930733913,
+      4.731582e-5, -9.054e-8,
+    ],
+    min: 26.51,
+    max: 154.53,
+  },
+};
+
+function round(points) {
+  return Math.round(points * 100) / 100;
+}
+
+function polynomial(terms, x) {
+  return terms.reduce((sum, term, power) => sum + term * Math.pow(x, power), 0);
+}
+
+/**
+ * Points from a 500 / polynomial(bodyweight) coefficient (Dots and Wilks)
+ */
+function polynomialPoints(coefficients, sex, bodyweight, total) {
+  const config = coefficients[sex];
+  if (!config) return 0;
+
+  const bw = Math.min(Math.max(bodyweight, config.min), config.max);
+  return round((total * 500) / polynomial(config.terms, bw));
+}
+
+export function calculateIpfGl(sex, bodyweight, total, equipment, event) {
+  const coefficients = IPF_GL_COEFFICIENTS[sex];
+  if (!coefficients || bodyweight < 35) return 0;
+
+  const [a, b, c] =
+    coefficients[isClassic(equipment) ? "classic" : "equipped"][
+      event === "B" ? "B" : "SBD"
+    ];
+  const points = (total * 100) / (a - b * Math.exp(-c * bodyweight));
+  return points > 0 ? round(points) : 0;
+}
+
+export function calculateDots(sex, bodyweight, total) {
+  return polynomialPoints(DOTS_COEFFICIENTS, sex, bodyweight, total);
+}
+
+export function calculateWilks(sex, bodyweight, total) {
+  return polynomialPoints(WILKS_COEFFICIENTS, sex, bodyweight, total);
+}
+
+/**
+ * Whether an equipment level (e.g. "RAW", "RAW_WITH_WRAPS", "SINGLE_PLY")
+ * counts as classic for IPF GL. Unknown levels count as classic.
+ */
+export function isClassic(equipment) {
+  return !equipment || String(equipment).toUpperCase().startsWith("RAW");
+}
+
+/**
+ * Every supported formula's points for a lifter. Lifters without a total or
+ * bodyweight get 0 for each.
+ */
+export function calculatePoints(sex, bodyweight, total, equipment, event) {
+  if (!(total > 0) || !(bodyweight > 0)) {
+    return { ipfgl: 0, dots: 0, wilks: 0 };
+  }
+
+  const key = String(sex).toUpperCase();
+  return {
+    ipfgl: calculateIpfGl(key, bodyweight, total, equipment, event),
+    dots: calculateDots(key, bodyweight, total),
+    wilks: calculateWilks(key, bodyweight, total),
+  };
+}
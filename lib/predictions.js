@@ -0,0 +1,266 @@
+import { LIFTS, getLiftType, getEventLifts } from "./lifts.js";
+
+// Smallest step attempts go up by, in the meet's units
+const KG_INCREMENT = 2.5;
+const LBS_INCREMENT = 5;
+
+// Allows for floating point error when rounding to an increment
+const EPSILON = 1e-9;
+
+function isPending(attempt) {
+  return attempt.result === null || attempt.result === undefined;
+}
+
+function getLot(lifter) {
+  const lot = parseInt(lifter.lot);
+  return Number.isFinite(lot) ? lot : Infinity;
+}
+
+/**
+ * Attempts a lifter hasn't taken yet on a lift (declared or not)
+ */
+function getAttemptsLeft(lifter, lift) {
+  return [1, 2, 3].filter((n) => !lifter[lift][n]).length;
+}
+
+/**
+ * The lightest next attempt the rules allow on a lift: at least the last
+ * attempt's weight after a miss, and more than it after a good lift
+ */
+function getMinimumAttempt(lifter, lift, increment) {
+  const taken = [1, 2, 3]
+    .map((n) => lifter[lift][n])
+    .filter((weight) => weight !== 0);
+  if (taken.length === 0) return 0;
+
+  const last = taken[taken.length - 1];
+  return last > 0 ? last + increment : Math.abs(last);
+}
+
+/**
+ * Whether a lifter has missed all three attempts on a lift of their event,
+ * so can no longer make a total
+ */
+function hasBombedOut(lifter) {
+  return getEventLifts(lifter).some((lift) =>
+    [1, 2, 3].every((n) => lifter[lift][n] < 0)
+  );
+}
+
+/**
+ * A lifter's total if the attempts they have declared but not yet taken
+ * are all good, or 0 once they can't make a total
+ */
+function getProjectedTotal(lifter, declared) {
+  if (hasBombedOut(lifter)) return 0;
+
+  return LIFTS.reduce(
+    (total, lift) =>
+      total + Math.max(lifter[lift].best, declared.get(lift) || 0),
+    0
+  );
+}
+
+/**
+ * Whether lifter `a` places above lifter `b` on the same total
+ */
+function winsTie(a, b, tieBreak) {
+  if (tieBreak === "shared") return true;
+  if (tieBreak === "bodyweight" && a.bodyweight !== b.bodyweight) {
+    return a.bodyweight < b.bodyweight;
+  }
+  return getLot(a) < getLot(b);
+}
+
+/**
+ * Order lifters by total, highest first, splitting ties as the federation
+ * does
+ */
+function compareTotals(a, b, totals, tieBreak) {
+  const difference = totals.get(b) - totals.get(a);
+  if (difference !== 0) return difference;
+  if (tieBreak === "shared") return 0;
+  return winsTie(a, b, tieBreak) ? -1 : 1;
+}
+
+/**
+ * The place a lifter would have with `total` against the rest of their
+ * group's current totals
+ */
+function getPlaceWith(lifter, total, group, tieBreak) {
+  const ahead = group.filter(
+    (other) =>
+      other !== lifter &&
+      other.total > 0 &&
+      (other.total > total ||
+        (other.total === total && !winsTie(lifter, other, tieBreak)))
+  );
+  return ahead.length + 1;
+}
+
+/**
+ * Predictions for one lifter against the rest of their group, whose totals
+ * are projected from their declared attempts
+ */
+function predictLifter(
+  lifter,
+  declared,
+  rivals,
+  projected,
+  tieBreak,
+  increment
+) {
+  const lifts = getEventLifts(lifter);
+  const lift = lifts.find((name) => getAttemptsLeft(lifter, name) > 0);
+  if (!lift) return null;
+
+  // Bombed out of an earlier lift, so there will be no total
+  const earlier = lifts.slice(0, lifts.indexOf(lift));
+  if (earlier.some((name) => !(lifter[name].best > 0))) return null;
+
+  // Their other lifts are projected too, to compare like for like with
+  // their rivals' projected totals
+  const others = LIFTS.filter((name) => name !== lift).reduce(
+    (total, name) =>
+      total + Math.max(lifter[name].best, declared.get(name) || 0),
+    0
+  );
+  const current = others + lifter[lift].best;
+  const minimum = getMinimumAttempt(lifter, lift, increment);
+  const needs = [];
+
+  // The total needed to place above each rival in turn, best first, until
+  // the lifter's total without lifting again on `lift` already does
+  for (let i = 0; i < rivals.length; i++) {
+    const rival = rivals[i];
+    const rivalTotal = projected.get(rival);
+    const canTie = winsTie(lifter, rival, tieBreak);
+    if (
+      current > rivalTotal ||
+      (canTie && current === rivalTotal && current > 0)
+    ) {
+      break;
+    }
+
+    const steps = (rivalTotal - others) / increment;
+    const weight = Math.max(
+      (canTie ? Math.ceil(steps - EPSILON) : Math.floor(steps + EPSILON) + 1) *
+        increment,
+      minimum,
+      increment
+    );
+    needs.push({ place: i + 1, weight, total: others + weight });
+  }
+
+  // A weight that wins a better place needn't be listed for a worse one too
+  return {
+    lift,
+    attemptsLeft: getAttemptsLeft(lifter, lift),
+    needs: needs
+      .filter((need, i) => i === 0 || need.weight !== needs[i - 1].weight)
+      .reverse(),
+  };
+}
+
+/**
+ * Work out what each lifter needs on their remaining attempts. Sets
+ * `lifter.prediction` to null once a lifter has nothing left to lift (or has
+ * bombed out), or else:
+ *
+ * - `lift`: the lift their next attempt is on, and `attemptsLeft` on it,
+ * - `nextAttempt`: `{ weight, total, place }` for their declared attempt on
+ *   `lift`, with the total and place a good lift gives them against the
+ *   rest of the group as it stands (on subtotals, as placings are), or null
+ *   until it's declared,
+ * - `projectedTotal` and `projectedPlace`: their total and place in their
+ *   main division if every declared attempt in it is good,
+ * - `needs`: `{ place, weight, total }` for each place above where they
+ *   would finish without lifting again on `lift`, nearest place first: the
+ *   lightest attempt on it (and the projected total it makes) that would put
+ *   them there. The lifter and their rivals are both taken at their
+ *   projected totals, and ties are split by the federation's `tieBreak`.
+ *
+ * Lifters are compared within their main division, sex and weight class.
+ */
+export function calculatePredictions(lifters, attempts, tieBreak, units) {
+  const increment = String(units).toUpperCase().startsWith("LB")
+    ? LBS_INCREMENT
+    : KG_INCREMENT;
+
+  // Declared weights of each lifter's untaken attempts, heaviest per lift
+  const declared = new Map();
+  Object.values(attempts).forEach((attempt) => {
+    const weight = parseFloat(attempt.weight) || 0;
+    if (!isPending(attempt) || weight <= 0) return;
+
+    const lift = getLiftType(attempt.liftName);
+    if (!LIFTS.includes(lift)) return;
+
+    const lifterDeclared = declared.get(attempt.lifterId) || new Map();
+    lifterDeclared.set(lift, Math.max(lifterDeclared.get(lift) || 0, weight));
+    declared.set(attempt.lifterId, lifterDeclared);
+  });
+
+  const groups = {};
+  Object.values(lifters).forEach((lifter) => {
+    const key = `${lifter.divisionId}_${lifter.sex}_${lifter.weightClass}`;
+    (groups[key] = groups[key] || []).push(lifter);
+  });
+
+  Object.values(groups).forEach((group) => {
+    const projected = new Map(
+      group.map((lifter) => [
+        lifter,
+        getProjectedTotal(lifter, declared.get(lifter.id) || new Map()),
+      ])
+    );
+    const ranked = group
+      .filter((lifter) => projected.get(lifter) > 0)
+      .sort((a, b) => compareTotals(a, b, projected, tieBreak));
+
+    group.forEach((lifter) => {
+      const rivals = ranked.filter((rival) => rival !== lifter);
+      const lifterDeclared = declared.get(lifter.id) || new Map();
+      const prediction = predictLifter(
+        lifter,
+        lifterDeclared,
+        rivals,
+        projected,
+        tieBreak,
+        increment
+      );
+      if (!prediction) {
+        lifter.prediction = null;
+        return;
+      }
+
+      // Tied lifters share the place they would be at, if the federation
+      // doesn't split ties
+      const projectedTotal = projected.get(lifter);
+      const index =
+        tieBreak === "shared" && projectedTotal > 0
+          ? ranked.findIndex((other) => projected.get(other) === projectedTotal)
+          : ranked.indexOf(lifter);
+
+      // Where a good lift on the declared attempt puts them as things stand
+      const weight = lifterDeclared.get(prediction.lift) || 0;
+      const total =
+        lifter.total -
+        lifter[prediction.lift].best +
+        Math.max(lifter[prediction.lift].best, weight);
+      lifter.prediction = {
+        ...prediction,
+        nextAttempt:
+          weight > 0
+            ? {
+                weight,
+                total,
+                place: getPlaceWith(lifter, total, group, tieBreak),
+              }
+            : null,
+        projectedTotal,
+        projectedPlace: index === -1 ? null : index + 1,
+      };
+    });
+  });
+}
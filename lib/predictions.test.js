@@ -0,0 +1,210 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calculatePredictions } from "./predictions.js";
+
+/**
+ * Lifters and attempts for one group from short specs: each lift lists the
+ * attempts taken (positive for good, negative for missed), and `declared`
+ * holds the next attempt declared on any lift
+ */
+function buildGroup(specs) {
+  const lifters = {};
+  const attempts = {};
+
+  specs.forEach((spec, index) => {
+    const lifter = {
+      id: spec.id,
+      divisionId: "d1",
+      sex: "MALE",
+      weightClass: "93",
+      bodyweight: spec.bodyweight ?? 90,
+      lot: spec.lot ?? index + 1,
+      event: spec.event ?? "SBD",
+      total: 0,
+    };
+
+    ["squat", "bench", "deadlift"].forEach((lift) => {
+      const taken = spec[lift] || [];
+      const declared = spec.declared?.[lift];
+      lifter[lift] = { 1: 0, 2: 0, 3: 0, best: 0 };
+
+      [...taken, declared].forEach((weight, i) => {
+        if (!weight) return;
+        const attemptNumber = i + 1;
+        const pending = i === taken.length;
+        attempts[`a${attemptNumber}${lift}-${spec.id}`] = {
+          id: `a${attemptNumber}${lift}-${spec.id}`,
+          lifterId: spec.id,
+          liftName: lift === "deadlift" ? "dead" : lift,
+          attemptNumber: String(attemptNumber),
+          weight: Math.abs(weight),
+          result: pending ? null : weight > 0 ? "good" : "bad",
+        };
+        if (!pending) lifter[lift][attemptNumber] = weight;
+      });
+
+      lifter[lift].best = Math.max(0, ...taken);
+      lifter.total += lifter[lift].best;
+    });
+
+    lifters[spec.id] = lifter;
+  });
+
+  return { lifters, attempts };
+}
+
+function predict(specs, tieBreak = "bodyweight", units = "KG") {
+  const { lifters, attempts } = buildGroup(specs);
+  calculatePredictions(lifters, attempts, tieBreak, units);
+  return lifters;
+}
+
+test("mid-squat, a lifter's own declared openers count against their rivals'", () => {
+  // A leads on squat, but B's declared openers project B ahead
+  const { a, b } = predict([
+    {
+      id: "a",
+      squat: [200],
+      declared: { squat: 205, bench: 120, deadlift: 250 },
+    },
+    { id: "b", squat: [190], declared: { bench: 130, deadlift: 270 } },
+  ]);
+
+  assert.equal(a.prediction.lift, "squat");
+  assert.equal(a.prediction.projectedTotal, 575);
+  assert.equal(a.prediction.projectedPlace, 2);
+  // 220 + 120 + 250 ties B's 590, and A wins the tie on lot
+  assert.deepEqual(a.prediction.needs, [{ place: 1, weight: 220, total: 590 }]);
+  // As things stand, a good 205 keeps A ahead of B's 190
+  assert.deepEqual(a.prediction.nextAttempt, {
+    weight: 205,
+    total: 205,
+    place: 1,
+  });
+
+  assert.equal(b.prediction.projectedPlace, 1);
+  assert.deepEqual(b.prediction.needs, []);
+});
+
+test("equal totals are split by the federation's tie-break", () => {
+  // The lighter lifter has the later lot
+  const specs = [
+    { id: "x", event: "B", bodyweight: 80, lot: 2, bench: [150] },
+    { id: "y", event: "B", bodyweight: 90, lot: 1, bench: [160] },
+  ];
+  const needFor = (tieBreak) => predict(specs, tieBreak).x.prediction.needs;
+
+  assert.deepEqual(needFor("bodyweight"), [
+    { place: 1, weight: 160, total: 160 },
+  ]);
+  assert.deepEqual(needFor("lot"), [{ place: 1, weight: 162.5, total: 162.5 }]);
+  assert.deepEqual(needFor("shared"), [{ place: 1, weight: 160, total: 160 }]);
+});
+
+test("lifters on equal projected totals share a place when ties are shared", () => {
+  const { x, y } = predict(
+    [
+      { id: "x", event: "B", bench: [150] },
+      { id: "y", event: "B", bench: [150] },
+    ],
+    "shared"
+  );
+
+  assert.equal(x.prediction.projectedPlace, 1);
+  assert.equal(y.prediction.projectedPlace, 1);
+  assert.deepEqual(x.prediction.needs, []);
+});
+
+test("needed weights round up to the bar increment in the meet's units", () => {
+  const kg = predict([
+    { id: "x", event: "B", bodyweight: 80, bench: [150] },
+    { id: "y", event: "B", bodyweight: 90, bench: [161] },
+  ]);
+  assert.deepEqual(kg.x.prediction.needs, [
+    { place: 1, weight: 162.5, total: 162.5 },
+  ]);
+
+  const lbs = predict(
+    [
+      { id: "x", event: "B", bodyweight: 180, bench: [300] },
+      { id: "y", event: "B", bodyweight: 200, bench: [331] },
+    ],
+    "bodyweight",
+    "LBS"
+  );
+  assert.deepEqual(lbs.x.prediction.needs, [
+    { place: 1, weight: 335, total: 335 },
+  ]);
+});
+
+test("no attempt is lighter than the rules allow after a miss", () => {
+  // 160 would be enough, but the lifter has to repeat the missed 170
+  const { x } = predict([
+    { id: "x", event: "B", bodyweight: 80, bench: [150, -170] },
+    { id: "y", event: "B", bodyweight: 90, bench: [160] },
+  ]);
+
+  assert.equal(x.prediction.attemptsLeft, 1);
+  assert.deepEqual(x.prediction.needs, [{ place: 1, weight: 170, total: 170 }]);
+});
+
+test("needs list each place up, nearest first, without repeating a weight", () => {
+  const { x } = predict([
+    { id: "x", event: "B", lot: 1, bench: [100] },
+    { id: "r1", event: "B", lot: 2, bench: [160] },
+    { id: "r2", event: "B", lot: 3, bench: [150] },
+    { id: "r3", event: "B", lot: 4, bench: [150] },
+  ]);
+
+  assert.equal(x.prediction.projectedPlace, 4);
+  // 150 already beats r3 on lot, so 3rd isn't listed separately
+  assert.deepEqual(x.prediction.needs, [
+    { place: 2, weight: 150, total: 150 },
+    { place: 1, weight: 160, total: 160 },
+  ]);
+});
+
+test("lifters with nothing left to lift, or who bombed out, get no prediction", () => {
+  const { done, bombed, waiting } = predict([
+    { id: "done", event: "B", bench: [150, 155, -160] },
+    {
+      id: "bombed",
+      squat: [-200, -200, -200],
+      bench: [120],
+      declared: { bench: 125 },
+    },
+    { id: "waiting", squat: [180] },
+  ]);
+
+  assert.equal(done.prediction, null);
+  assert.equal(bombed.prediction, null);
+  assert.equal(waiting.prediction.lift, "squat");
+  assert.equal(waiting.prediction.nextAttempt, null);
+});
+
+test("rivals who bombed out are left out of needs and places", () => {
+  // R's partial 600 would lead, but three missed squats mean no total
+  const { x, r, y } = predict([
+    {
+      id: "x",
+      squat: [200],
+      declared: { squat: 205, bench: 120, deadlift: 250 },
+    },
+    {
+      id: "r",
+      squat: [-300, -300, -300],
+      bench: [200],
+      declared: { deadlift: 400 },
+    },
+    { id: "y", squat: [210], declared: { bench: 100, deadlift: 250 } },
+  ]);
+
+  assert.equal(r.prediction, null);
+  assert.equal(x.prediction.projectedPlace, 1);
+  assert.deepEqual(x.prediction.needs, []);
+  assert.equal(y.prediction.projectedPlace, 2);
+  // Only X is ahead of Y, and Y loses a tie on lot
+  assert.deepEqual(y.prediction.needs, [
+    { place: 1, weight: 227.5, total: 577.5 },
+  ]);
+});
@@ -0,0 +1,1011 @@
+import { getFederationConfig } from "./federations.js";
+import { calculatePoints, LBS_PER_KG, POINTS_FORMULAS } from "./points.js";
+import { getRecords } from "./records.js";
+import { LIFTS, getLiftType } from "./lifts.js";
+import { calculateLiftingOrder } from "./lifting-order.js";
+import { calculateTeamStandings, getTeamScoring } from "./teams.js";
+import { calculatePredictions } from "./predictions.js";
+import { LIGHTS_HOLD_TIME } from "./config.js";
+
+// Referee positions, left to right as the lifter faces them
+const REFEREE_POSITIONS = ["left", "head", "right"];
+
+// Fault card colours, in card order
+const CARD_COLOURS = ["red", "blue", "yellow"];
+
+export function mapWeightClasses(federation) {
+  const config = getFederationConfig(federation);
+  const classConfig = config.weightClasses;
+
+  // Convert federation configuration file weightclasses to numeric thresholds
+  const thresholds = {};
+
+  ["MALE", "FEMALE"].forEach((sex) => {
+    const classes = classConfig[sex] || {};
+    const parsed = Object.values(classes)
+      .map((v) => v.replace("+", "")) // remove + for parsing
+      .map((v) => parseFloat(v))
+      .filter((v) => !isNaN(v))
+      .sort((a, b) => a - b);
+
+    thresholds[sex] = parsed;
+  });
+
+  return function getWeightClass(sex, bodyweight) {
+    if (!bodyweight || !sex) return "0";
+    const upper = thresholds[sex.toUpperCase()] || thresholds["MALE"];
+    if (!upper.length) return "0";
+
+    // Find the smallest class that is >= bodyweight
+    for (const w of upper) {
+      if (bodyweight <= w) return w.toString();
+    }
+
+    // If heavier than all classes, return the top class with "+"
+    return `${upper[upper.length - 1]}+`;
+  };
+}
+
+/**
+ * A division doc's weight classes as `{ id, name, maxWeight }`, lightest
+ * first. The open-ended top class has no `maxWeight` and sorts last.
+ */
+export function getDivisionWeightClasses(division) {
+  const weightClasses = Array.isArray(division?.weightClasses)
+    ? division.weightClasses
+    : Object.entries(division?.weightClasses || {}).map(
+        ([id, weightClass]) => ({
+          _id: id,
+          ...weightClass,
+        })
+      );
+
+  return weightClasses
+    .map((weightClass) => {
+      const maxWeight = parseFloat(weightClass.maxWeight);
+      return {
+        id: weightClass._id || weightClass.id,
+        name: String(weightClass.name ?? maxWeight),
+        maxWeight: maxWeight > 0 ? maxWeight : Infinity,
+      };
+    })
+    .sort((a, b) => a.maxWeight - b.maxWeight);
+}
+
+/**
+ * The lightest of a division's weight classes that a bodyweight fits in
+ */
+function findWeightClass(weightClasses, bodyweight) {
+  return weightClasses.find((wc) => bodyweight <= wc.maxWeight) || null;
+}
+
+export function processMeetInfo(rows) {
+  let meetInfo = {};
+  // Check for the meet ID doc (e.g., "m745m8gkgmfv")
+  const meetInfoDoc = rows.find((row) => row.doc?._id?.startsWith("m"))?.doc;
+
+  if (meetInfoDoc) {
+    meetInfo = {
+      name: meetInfoDoc.name,
+      date: meetInfoDoc.date,
+      federation: meetInfoDoc.federation,
+      units: meetInfoDoc.units || "KG",
+      plates: meetInfoDoc.plates,
+      dateFormat: meetInfoDoc.dateFormat,
+      type: meetInfoDoc.type,
+    };
+  }
+
+  const extraDocs = rows
+    .filter((row) => row.doc && row.doc._id?.startsWith("e"))
+    .map((row) => ({ id: row.doc._id, ...row.doc }));
+
+  if (extraDocs.length > 0) {
+    meetInfo.extraStuff = extraDocs;
+  }
+
+  return meetInfo;
+}
+
+/**
+ * Epoch ms from a timestamp that may be a number or a date string
+ */
+function toTimestamp(value) {
+  const time = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Normalise a platform's clockState into `{ running, remaining, length,
+ * updatedAt }`. `remaining` (ms) was correct at `updatedAt` (server epoch ms),
+ * so clients can count down from there while the clock is running. Without a
+ * timestamp from the clock itself, the time the doc arrived is used.
+ */
+function processClockState(doc) {
+  const clockState = doc.clockState;
+  const length = doc.clockTimerLength || 60000;
+  const isObject = typeof clockState === "object" && clockState !== null;
+
+  // Either a bare state ("initial", "started", "stopped") or an object
+  const state = isObject
+    ? clockState.state ?? (clockState.running ? "started" : "stopped")
+    : clockState;
+
+  return {
+    running: state === "started" || state === "running",
+    remaining:
+      isObject && typeof clockState.remaining === "number"
+        ? Math.max(0, clockState.remaining)
+        : length,
+    length,
+    updatedAt:
+      (isObject && toTimestamp(clockState.updatedAt ?? clockState.startTime)) ||
+      Date.now(),
+  };
+}
+
+export function processPlatformDoc(doc) {
+  // Platforms usually start with "p" (e.g., "p6kby8k1v0nn")
+  if (!doc?._id?.startsWith("p") || !doc.name || doc.clockState === undefined) {
+    return null;
+  }
+
+  return {
+    id: doc._id,
+    name: doc.name,
+    timerRemaining:
+      typeof doc.clockState === "object" && doc.clockState?.remaining
+        ? doc.clockState.remaining / 1000 // Convert ms to seconds
+        : doc.clockTimerLength
+        ? doc.clockTimerLength / 1000
+        : 60, // Default to timer length
+    clockTimerLength: doc.clockTimerLength, // Capture default timer length
+    clock: processClockState(doc),
+    barAndCollarsWeight: doc.barAndCollarsWeight,
+    currentAttemptId: doc.currentAttemptId,
+    lights: null, // To be populated by processRefereeLights
+    liftingOrder: null, // To be populated by calculateLiftingOrder
+  };
+}
+
+export function processPlatforms(rows) {
+  let platforms = {};
+  rows.forEach((row) => {
+    const platform = processPlatformDoc(row.doc);
+    if (platform) {
+      platforms[platform.id] = platform;
+    }
+  });
+
+  return platforms;
+}
+
+export function processRefereeDoc(doc) {
+  // Referee docs usually start with "r" (e.g., "rhead-p6kby8k1v0nn")
+  if (!doc?._id?.startsWith("r") || !doc.platformId || !doc.position) {
+    return null;
+  }
+
+  return {
+    id: doc._id,
+    platformId: doc.platformId,
+    position: doc.position,
+    decision: doc.decision,
+    cards: doc.cards,
+  };
+}
+
+export function processReferees(rows) {
+  let referees = {};
+  rows.forEach((row) => {
+    const referee = processRefereeDoc(row.doc);
+    if (referee) {
+      referees[referee.id] = referee;
+    }
+  });
+
+  return referees;
+}
+
+/**
+ * A referee's fault cards as colours, in card order. Cards come as flags
+ * (`{ red: true, blue: false }`) or a list of colours.
+ */
+function getRefereeCards(cards) {
+  const colours = Array.isArray(cards)
+    ? cards.map((card) => String(card).toLowerCase())
+    : Object.keys(cards || {}).filter((card) => cards[card]);
+  return CARD_COLOURS.filter((colour) => colours.includes(colour));
+}
+
+/**
+ * Work out each platform's referee lights as `platform.lights`:
+ *
+ * - `left`, `head` and `right`: "pending", "white" or "red",
+ * - `cards`: each position's fault cards, e.g. `{ head: ["red"] }`,
+ * - `decided`: how many referees have decided,
+ * - `result`: "good" or "bad" once revealed, otherwise null,
+ * - `revealedAt` and `clearAt`: when the lights came on and when displays
+ *   should clear them (server epoch ms), or null.
+ *
+ * Lights stay pending until the left, head and right referees have all
+ * decided, as on a real lights system, then show for `holdTime` ms. Reveal
+ * times are kept in `revealed` (by platform) so reprocessing the meet
+ * doesn't restart them.
+ */
+export function processRefereeLights(
+  platforms,
+  referees,
+  revealed = new Map(),
+  holdTime = LIGHTS_HOLD_TIME
+) {
+  Object.values(platforms).forEach((platform) => {
+    const positions = {};
+    Object.values(referees)
+      .filter((r) => r.platformId === platform.id)
+      .forEach((r) => {
+        positions[String(r.position).toLowerCase()] = r;
+      });
+
+    // All three positions must have decided; a missing referee doc counts
+    // as undecided
+    const decided = REFEREE_POSITIONS.map(
+      (position) => positions[position]
+    ).filter((r) => r?.decision === "good" || r?.decision === "bad");
+    const isRevealed = decided.length === REFEREE_POSITIONS.length;
+
+    // Decisions are "good" or "bad" (string), or null while undecided
+    const lights = {
+      cards: {},
+      decided: decided.length,
+      result: null,
+      revealedAt: null,
+      clearAt: null,
+    };
+    REFEREE_POSITIONS.forEach((position) => {
+      const referee = positions[position];
+      lights[position] =
+        isRevealed && referee
+          ? referee.decision === "good"
+            ? "white"
+            : "red"
+          : "pending";
+      lights.cards[position] =
+        lights[position] === "red" ? getRefereeCards(referee.cards) : [];
+    });
+
+    if (isRevealed) {
+      const key = `${platform.currentAttemptId}|${decided
+        .map((r) => `${r.position}:${r.decision}`)
+        .join(",")}`;
+      if (revealed.get(platform.id)?.key !== key) {
+        revealed.set(platform.id, { key, at: Date.now() });
+      }
+
+      const whites = decided.filter((r) => r.decision === "good").length;
+      lights.result = whites * 2 > decided.length ? "good" : "bad";
+      lights.revealedAt = revealed.get(platform.id).at;
+      lights.clearAt = lights.revealedAt + holdTime;
+    } else {
+      revealed.delete(platform.id);
+    }
+
+    platform.lights = lights;
+  });
+}
+
+export function processDivisionDoc(doc) {
+  // Identify division documents (they have _id starting with "d" and name)
+  // The doc is the entire division object including equipment type and lifts keys
+  if (!doc?._id?.startsWith("d") || !doc.name) {
+    return null;
+  }
+
+  return doc; // Store the entire division doc
+}
+
+export function processDivisions(rows) {
+  let divisions = {};
+
+  rows.forEach((row) => {
+    const division = processDivisionDoc(row.doc);
+    if (division) {
+      divisions[division._id] = division;
+    }
+  });
+
+  return divisions;
+}
+
+/**
+ * Which lifts a division competes in: "B" for bench-only, otherwise "SBD".
+ * Divisions list their lifts as e.g. `lifts: { squat, bench, dead }`.
+ */
+function getDivisionEvent(division) {
+  const lifts = division?.lifts;
+  if (lifts && lifts.bench && !lifts.squat && !lifts.dead) {
+    return "B";
+  }
+  return "SBD";
+}
+
+/**
+ * A lifter's entry in one division, with the weight class and place that
+ * apply to it. The weight class is the one the lifter is assigned in the
+ * division, or the division's class their bodyweight fits, falling back to
+ * the federation's classes when the division doesn't define any.
+ */
+function processDivisionEntry(
+  entry,
+  divisions,
+  sex,
+  bodyweight,
+  getWeightClass
+) {
+  const divisionId = entry?.divisionId || null;
+  const division = divisionId ? divisions[divisionId] : null;
+
+  const weightClasses = getDivisionWeightClasses(division);
+  const assigned = entry?.weightClassId
+    ? weightClasses.find((wc) => wc.id === entry.weightClassId) || null
+    : null;
+  const fitting =
+    bodyweight > 0 ? findWeightClass(weightClasses, bodyweight) : null;
+  const weightClass = assigned || fitting;
+
+  return {
+    divisionId,
+    division: division ? division.name : "",
+    weightClass: weightClass
+      ? weightClass.name
+      : getWeightClass(sex, bodyweight),
+    weightClassSource: weightClass ? "division" : "bodyweight",
+    // Assigned a class their bodyweight doesn't fit: the class it does fit
+    weightClassMismatch:
+      assigned && fitting && assigned !== fitting ? fitting.name : null,
+    equipment: division?.rawOrEquipped || "",
+    event: getDivisionEvent(division),
+    place: null, // Filled by calculatePlacings
+    pointsRank: null, // Filled by calculateBestLifterRankings
+  };
+}
+
+export function processLifterDoc(doc, getWeightClass, divisions) {
+  // Identify lifter data (lifter docs usually start with "l")
+  if (
+    !doc?._id?.startsWith("l") ||
+    !doc.name ||
+    !doc.birthDate ||
+    !doc.gender
+  ) {
+    return null;
+  }
+
+  const sex = doc.gender;
+  // Ensure bodyWeight is treated as a number, defaulting to 0 if null/missing
+  const bodyweight = doc.bodyWeight > 0 ? parseFloat(doc.bodyWeight) : 0;
+
+  // Every division the lifter is entered in, each placed separately. The
+  // first is the lifter's main division, used for points and records.
+  const entries = (doc.divisions?.length > 0 ? doc.divisions : [null]).map(
+    (entry) =>
+      processDivisionEntry(entry, divisions, sex, bodyweight, getWeightClass)
+  );
+  const main = entries[0];
+
+  return {
+    id: doc._id,
+    name: doc.name,
+    sex: sex,
+    weightClass: main.weightClass,
+    bodyweight: bodyweight,
+    division: main.division,
+    divisionId: main.divisionId,
+    divisions: entries,
+    equipment: main.equipment,
+    event: main.event,
+    squat: { 1: 0, 2: 0, 3: 0, best: 0 },
+    bench: { 1: 0, 2: 0, 3: 0, best: 0 },
+    deadlift: { 1: 0, 2: 0, 3: 0, best: 0 },
+    total: 0,
+    points: { ipfgl: 0, dots: 0, wilks: 0 },
+    pointsRank: { overall: null, division: null },
+    place: null,
+    records: {}, // Filled by calculateRecords
+    prediction: null, // Filled by calculatePredictions
+    squatRackHeight: doc.squatRackHeight || "",
+    benchRackHeight: doc.benchRackHeight || "",
+    team: doc.team || "",
+    age: null, // Filled by calculateAges
+    lot: doc.lot || null,
+    platformId: doc.platformId || null,
+    session: doc.session || null,
+    flight: doc.flight || "",
+  };
+}
+
+export function processLifters(rows, federation, divisions) {
+  let lifters = {};
+  const getWeightClass = mapWeightClasses(federation);
+
+  rows.forEach((row) => {
+    const lifter = processLifterDoc(row.doc, getWeightClass, divisions);
+    if (lifter) {
+      lifters[lifter.id] = lifter;
+    }
+  });
+
+  return lifters;
+}
+
+export function processAttemptDoc(doc) {
+  // Attempt docs usually start with "a" (e.g., "a1b-l0svoxjzi9ch")
+  if (
+    !doc?._id?.startsWith("a") ||
+    !doc.lifterId ||
+    !doc.liftName ||
+    !doc.attemptNumber
+  ) {
+    return null;
+  }
+
+  return {
+    id: doc._id,
+    lifterId: doc.lifterId,
+    liftName: doc.liftName,
+    attemptNumber: doc.attemptNumber,
+    weight: doc.weight,
+    result: doc.result,
+    decisions: doc.decisions,
+    createDate: doc.createDate,
+    records: [], // Filled by calculateRecords
+  };
+}
+
+/**
+ * Write an attempt into its lifter's squat/bench/deadlift slot. Passing
+ * `clear` resets the slot instead, for attempts that have been removed.
+ */
+function applyAttemptToLifter(attempt, lifter, clear = false) {
+  const attemptNum = parseInt(attempt.attemptNumber);
+  const liftType = getLiftType(attempt.liftName);
+
+  if (lifter[liftType] && attemptNum >= 1 && attemptNum <= 3) {
+    if (clear) {
+      lifter[liftType][attemptNum] = 0;
+      return;
+    }
+
+    // Ensure weight is treated as a number, defaulting to 0
+    const weight = parseFloat(attempt.weight) || 0;
+    const isSuccess = attempt.result?.toLowerCase() === "good";
+
+    // Lift logic: positive for good, negative for bad, 0 for pending (null result)
+    // The weight should be abs() for a failed lift, not just in the calculation
+    // It should be negative only if "result" is "bad", and 0 if "result" is "null" (pending)
+    lifter[liftType][attemptNum] = isSuccess
+      ? weight
+      : attempt.result === null || attempt.result === undefined
+      ? 0
+      : -Math.abs(weight);
+  }
+}
+
+export function processAttempts(rows, lifters) {
+  let attempts = {};
+
+  rows.forEach((row) => {
+    const attempt = processAttemptDoc(row.doc);
+    if (!attempt) return;
+
+    attempts[attempt.id] = attempt;
+
+    const lifter = lifters[attempt.lifterId];
+    if (lifter) {
+      applyAttemptToLifter(attempt, lifter);
+    }
+  });
+
+  return attempts;
+}
+
+export function calculateBestLifts(lifters) {
+  Object.values(lifters).forEach((lifter) => {
+    ["squat", "bench", "deadlift"].forEach((lift) => {
+      // Filter out pending (0) and failed (negative) attempts
+      const attempts = [
+        lifter[lift][1],
+        lifter[lift][2],
+        lifter[lift][3],
+      ].filter((w) => w > 0);
+
+      lifter[lift].best = attempts.length > 0 ? Math.max(...attempts) : 0;
+    });
+
+    // Calculate total
+    lifter.total =
+      (lifter.squat.best || 0) +
+      (lifter.bench.best || 0) +
+      (lifter.deadlift.best || 0);
+  });
+}
+
+/**
+ * Division entries whose assigned weight class doesn't fit the lifter's
+ * bodyweight, for the meet director to sort out
+ */
+export function findWeightClassMismatches(lifters) {
+  return Object.values(lifters).flatMap((lifter) =>
+    lifter.divisions
+      .filter((entry) => entry.weightClassMismatch)
+      .map((entry) => ({
+        lifterId: lifter.id,
+        name: lifter.name,
+        bodyweight: lifter.bodyweight,
+        divisionId: entry.divisionId,
+        division: entry.division,
+        weightClass: entry.weightClass,
+        expected: entry.weightClassMismatch,
+      }))
+  );
+}
+
+/**
+ * Lot number to break ties with; lifters without one come last
+ */
+function getLot(lifter) {
+  const lot = parseInt(lifter.lot);
+  return Number.isFinite(lot) ? lot : Infinity;
+}
+
+/**
+ * Place lifters within each division, sex and weight class. Lifters entered
+ * in several divisions get a place in each (`lifter.divisions[].place`);
+ * `lifter.place` is the place in their main division. Equal totals are split
+ * by the federation's `tieBreak` (see lib/federation-schema.js).
+ */
+export function calculatePlacings(lifters, tieBreak = "bodyweight") {
+  const lifterArray = Object.values(lifters);
+
+  // Group division entries by division, sex, and weight class
+  const groups = {};
+
+  lifterArray.forEach((lifter) => {
+    lifter.divisions.forEach((entry) => {
+      const key = `${entry.divisionId}_${lifter.sex}_${entry.weightClass}`;
+      if (!groups[key]) {
+        groups[key] = [];
+      }
+      groups[key].push({ lifter, entry });
+    });
+  });
+
+  // Sort within each group by total (descending)
+  Object.values(groups).forEach((group) => {
+    const sortedGroup = group.sort(({ lifter: a }, { lifter: b }) => {
+      if (b.total !== a.total) {
+        return b.total - a.total;
+      }
+      if (tieBreak === "bodyweight" && a.bodyweight !== b.bodyweight) {
+        // Lighter bodyweight wins
+        return a.bodyweight - b.bodyweight;
+      }
+      return getLot(a) - getLot(b);
+    });
+
+    // Assign placings
+    sortedGroup.forEach(({ lifter, entry }, index) => {
+      const previous = sortedGroup[index - 1];
+      const isTied =
+        tieBreak === "shared" && previous?.lifter.total === lifter.total;
+
+      // Only assign place if they have a non-zero total (i.e., completed at least one successful lift)
+      entry.place =
+        lifter.total > 0 ? (isTied ? previous.entry.place : index + 1) : null;
+    });
+  });
+
+  lifterArray.forEach((lifter) => {
+    lifter.place = lifter.divisions[0].place;
+  });
+}
+
+export function calculateLifterPoints(lifters, units = "KG") {
+  // Meets in pounds keep their weights in pounds; only the formulas need kg
+  const toKg = String(units).toUpperCase().startsWith("LB")
+    ? 1 / LBS_PER_KG
+    : 1;
+
+  Object.values(lifters).forEach((lifter) => {
+    lifter.points = calculatePoints(
+      lifter.sex,
+      lifter.bodyweight * toKg,
+      lifter.total * toKg,
+      lifter.equipment,
+      lifter.event
+    );
+  });
+}
+
+/**
+ * Rank lifters for best lifter by the given points formula, both overall and
+ * within each division they are entered in (`lifter.divisions[].pointsRank`);
+ * `lifter.pointsRank` has the rank in their main division. Men and women are
+ * ranked separately.
+ */
+export function calculateBestLifterRankings(lifters, formula) {
+  const overall = {};
+  const byDivision = {};
+
+  Object.values(lifters).forEach((lifter) => {
+    lifter.pointsRank = { overall: null, division: null };
+    lifter.divisions.forEach((entry) => {
+      entry.pointsRank = { overall: null, division: null };
+    });
+    if (!(lifter.points[formula] > 0)) return;
+
+    (overall[lifter.sex] = overall[lifter.sex] || []).push(lifter);
+    lifter.divisions.forEach((entry) => {
+      const key = `${entry.divisionId}_${lifter.sex}`;
+      (byDivision[key] = byDivision[key] || []).push({ lifter, entry });
+    });
+  });
+
+  const comparePoints = (a, b) => {
+    if (b.points[formula] !== a.points[formula]) {
+      return b.points[formula] - a.points[formula];
+    }
+    // Lighter bodyweight wins ties, as for placings
+    return a.bodyweight - b.bodyweight;
+  };
+
+  Object.values(overall).forEach((group) => {
+    group.sort(comparePoints).forEach((lifter, index) => {
+      lifter.pointsRank.overall = index + 1;
+    });
+  });
+
+  Object.values(byDivision).forEach((group) => {
+    group
+      .sort((a, b) => comparePoints(a.lifter, b.lifter))
+      .forEach(({ lifter, entry }, index) => {
+        // Each division's rows show the overall rank alongside
+        entry.pointsRank = {
+          overall: lifter.pointsRank.overall,
+          division: index + 1,
+        };
+      });
+  });
+
+  Object.values(lifters).forEach((lifter) => {
+    lifter.pointsRank.division = lifter.divisions[0].pointsRank.division;
+  });
+}
+
+/**
+ * The lifter's total if `lift` went up to `weight`, or 0 when the lifter
+ * would still be missing a lift their event needs for a total
+ */
+function getTotalWith(lifter, lift, weight) {
+  const bests = {};
+  LIFTS.forEach((name) => {
+    bests[name] =
+      name === lift ? Math.max(lifter[name].best, weight) : lifter[name].best;
+  });
+
+  if (lifter.event === "B") {
+    return bests.bench;
+  }
+
+  if (!bests.squat || !bests.bench || !bests.deadlift) {
+    return 0;
+  }
+
+  return bests.squat + bests.bench + bests.deadlift;
+}
+
+/**
+ * Compare lifters and attempts with the federation's records.
+ *
+ * Each lifter's `records` gets an entry for every lift (and total) with a
+ * record in their category: `{ record, set, attempt }`, where `set` is true
+ * once a good lift has beaten the record and `attempt` is the weight (or
+ * projected total) of a declared attempt that would break it.
+ *
+ * Each attempt's `records` lists the lifts it would break a record in (while
+ * pending) or set one in (once good).
+ */
+export function calculateRecords(lifters, attempts, findRecord) {
+  const lifterAttempts = {};
+  Object.values(attempts).forEach((attempt) => {
+    attempt.records = [];
+    if (!lifterAttempts[attempt.lifterId]) {
+      lifterAttempts[attempt.lifterId] = [];
+    }
+    lifterAttempts[attempt.lifterId].push(attempt);
+  });
+
+  // Best marks made at this meet per record, so that declared attempts have
+  // to beat records set earlier in the meet as well
+  const meetBests = new Map();
+  const lifts = [...LIFTS, "total"];
+
+  Object.values(lifters).forEach((lifter) => {
+    lifts.forEach((lift) => {
+      const record = findRecord(lifter, lift);
+      if (!record) return;
+
+      const mark =
+        lift === "total" ? getTotalWith(lifter, null, 0) : lifter[lift].best;
+      meetBests.set(record, Math.max(meetBests.get(record) || 0, mark));
+    });
+  });
+
+  Object.values(lifters).forEach((lifter) => {
+    lifter.records = {};
+
+    lifts.forEach((lift) => {
+      const record = findRecord(lifter, lift);
+      if (!record) return;
+
+      const recordWeight = parseFloat(record.weight) || 0;
+      const toBeat = Math.max(recordWeight, meetBests.get(record) || 0);
+      const mark =
+        lift === "total" ? getTotalWith(lifter, null, 0) : lifter[lift].best;
+      const entry = {
+        record: recordWeight,
+        set: mark > recordWeight,
+        attempt: null,
+      };
+
+      (lifterAttempts[lifter.id] || []).forEach((attempt) => {
+        const attemptLift = getLiftType(attempt.liftName);
+        const weight = parseFloat(attempt.weight) || 0;
+        if (weight <= 0 || (lift !== "total" && attemptLift !== lift)) return;
+
+        const isPending =
+          attempt.result === null || attempt.result === undefined;
+        const isGood = attempt.result?.toLowerCase() === "good";
+
+        if (isPending) {
+          const value =
+            lift === "total"
+              ? getTotalWith(lifter, attemptLift, weight)
+              : weight;
+
+          if (value > toBeat) {
+            attempt.records.push(lift);
+            // Flag the lowest declared attempt, which comes up first
+            entry.attempt =
+              entry.attempt === null ? value : Math.min(entry.attempt, value);
+          }
+        } else if (isGood && lift !== "total" && weight > recordWeight) {
+          attempt.records.push(lift);
+        }
+      });
+
+      lifter.records[lift] = entry;
+    });
+  });
+}
+
+/**
+ * The points formula a federation uses to decide best lifter
+ */
+export function getPointsFormula(federation) {
+  const formula = getFederationConfig(federation).pointsFormula;
+  return POINTS_FORMULAS[formula] ? formula : "ipfgl";
+}
+
+/**
+ * How a federation breaks ties on total, "bodyweight" unless it says
+ * otherwise
+ */
+export function getTieBreak(federation) {
+  return getFederationConfig(federation).tieBreak || "bodyweight";
+}
+
+/**
+ * Age in whole years on a date, or null when the birth date can't be read
+ */
+function getAge(birthDate, onDate) {
+  const birth = new Date(Date.parse(birthDate));
+  if (Number.isNaN(birth.getTime()) || Number.isNaN(onDate.getTime())) {
+    return null;
+  }
+
+  const hadBirthday =
+    onDate.getUTCMonth() > birth.getUTCMonth() ||
+    (onDate.getUTCMonth() === birth.getUTCMonth() &&
+      onDate.getUTCDate() >= birth.getUTCDate());
+  const age =
+    onDate.getUTCFullYear() - birth.getUTCFullYear() - (hadBirthday ? 0 : 1);
+  return age >= 0 ? age : null;
+}
+
+/**
+ * Each lifter's age on the day of the meet (or today, for a meet without a
+ * date) from the birth date on their doc. Clients only get the age.
+ */
+export function calculateAges(lifters, docs, meetDate) {
+  const onDate = meetDate ? new Date(Date.parse(meetDate)) : new Date();
+  Object.values(lifters).forEach((lifter) => {
+    lifter.age = getAge(docs.get(lifter.id)?.birthDate, onDate);
+  });
+}
+
+/**
+ * Recalculate everything derived from lifters, attempts and referees
+ */
+function calculateResults(meet) {
+  calculateBestLifts(meet.lifters);
+  calculateAges(meet.lifters, meet.docs, meet.meetInfo?.date);
+  const tieBreak = getTieBreak(meet.federation);
+  calculatePlacings(meet.lifters, tieBreak);
+  calculatePredictions(
+    meet.lifters,
+    meet.attempts,
+    tieBreak,
+    meet.meetInfo?.units
+  );
+  meet.weightClassMismatches = findWeightClassMismatches(meet.lifters);
+  calculateLifterPoints(meet.lifters, meet.meetInfo?.units);
+
+  meet.pointsFormula = getPointsFormula(meet.federation);
+  calculateBestLifterRankings(meet.lifters, meet.pointsFormula);
+  meet.teamStandings = calculateTeamStandings(
+    meet.lifters,
+    getTeamScoring(meet.federation, meet.pointsFormula)
+  );
+
+  calculateRecords(meet.lifters, meet.attempts, getRecords(meet.federation));
+
+  // Update live display
+  processRefereeLights(
+    meet.platforms,
+    meet.referees,
+    meet.revealedLights,
+    meet.lightsHoldTime
+  );
+  calculateLiftingOrder(meet.platforms, meet.lifters, meet.attempts);
+}
+
+/**
+ * Get the meet's document store in the `{ doc }` row shape used by the
+ * process* functions
+ */
+function getRows(meet) {
+  return Array.from(meet.docs.values(), (doc) => ({ doc }));
+}
+
+/**
+ * Replace a meet's documents and reprocess its whole state from scratch
+ */
+export function loadMeetDocs(meet, docs) {
+  const previousDocs = meet.docs;
+  const previousPlatforms = meet.platforms;
+  meet.docs = new Map(docs.map((doc) => [doc._id, doc]));
+
+  const rows = getRows(meet);
+  meet.divisions = processDivisions(rows);
+  meet.meetInfo = processMeetInfo(rows);
+  meet.platforms = processPlatforms(rows);
+
+  // A resync shouldn't restart clocks that haven't changed since
+  Object.values(meet.platforms).forEach((platform) => {
+    const previous = previousPlatforms?.[platform.id];
+    const rev = meet.docs.get(platform.id)._rev;
+    if (
+      previous?.clock &&
+      rev &&
+      previousDocs?.get(platform.id)?._rev === rev
+    ) {
+      platform.clock = previous.clock;
+    }
+  });
+
+  meet.referees = processReferees(rows);
+  meet.lifters = processLifters(rows, meet.federation, meet.divisions);
+  meet.attempts = processAttempts(rows, meet.lifters);
+
+  calculateResults(meet);
+}
+
+/**
+ * Reprocess a lifter from their current doc, or remove them if it's gone
+ */
+function refreshLifter(meet, id, getWeightClass) {
+  const lifter = processLifterDoc(
+    meet.docs.get(id),
+    getWeightClass,
+    meet.divisions
+  );
+  if (!lifter) {
+    delete meet.lifters[id];
+    return;
+  }
+
+  meet.lifters[id] = lifter;
+
+  // A fresh lifter object has empty attempt slots, so refill them
+  Object.values(meet.attempts)
+    .filter((attempt) => attempt.lifterId === id)
+    .forEach((attempt) => applyAttemptToLifter(attempt, lifter));
+}
+
+/**
+ * Apply a single changed (or deleted) doc to a meet's processed state
+ */
+function applyDoc(meet, doc, getWeightClass) {
+  const id = doc._id;
+
+  if (doc._deleted) {
+    meet.docs.delete(id);
+  } else {
+    meet.docs.set(id, doc);
+  }
+
+  // A deleted doc has no fields, so every process*Doc function rejects it
+  const current = doc._deleted ? null : doc;
+
+  if (id.startsWith("m") || id.startsWith("e")) {
+    meet.meetInfo = processMeetInfo(getRows(meet));
+  } else if (id.startsWith("d")) {
+    const division = processDivisionDoc(current);
+    if (division) {
+      meet.divisions[id] = division;
+    } else {
+      delete meet.divisions[id];
+    }
+
+    // Keep division details of lifters entered in it up to date
+    Object.values(meet.lifters)
+      .filter((lifter) =>
+        lifter.divisions.some((entry) => entry.divisionId === id)
+      )
+      .forEach((lifter) => refreshLifter(meet, lifter.id, getWeightClass));
+  } else if (id.startsWith("p")) {
+    const platform = processPlatformDoc(current);
+    if (platform) {
+      meet.platforms[id] = platform;
+    } else {
+      delete meet.platforms[id];
+    }
+  } else if (id.startsWith("r")) {
+    const referee = processRefereeDoc(current);
+    if (referee) {
+      meet.referees[id] = referee;
+    } else {
+      delete meet.referees[id];
+    }
+  } else if (id.startsWith("l")) {
+    refreshLifter(meet, id, getWeightClass);
+  } else if (id.startsWith("a")) {
+    const previous = meet.attempts[id];
+    if (previous && meet.lifters[previous.lifterId]) {
+      applyAttemptToLifter(previous, meet.lifters[previous.lifterId], true);
+    }
+
+    const attempt = processAttemptDoc(current);
+    if (attempt) {
+      meet.attempts[id] = attempt;
+      if (meet.lifters[attempt.lifterId]) {
+        applyAttemptToLifter(attempt, meet.lifters[attempt.lifterId]);
+      }
+    } else {
+      delete meet.attempts[id];
+    }
+  }
+}
+
+/**
+ * Apply a batch of changed docs (e.g. from the _changes feed) to a meet
+ * without reprocessing the rest of its documents
+ */
+export function applyMeetDocs(meet, docs) {
+  const getWeightClass = mapWeightClasses(meet.federation);
+
+  docs.forEach((doc) => applyDoc(meet, doc, getWeightClass));
+
+  calculateResults(meet);
+}
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { processRefereeLights } from "./process.js";
+
+function getLights(decisions, revealed = new Map()) {
+  const platforms = { p1: { id: "p1", currentAttemptId: "a1" } };
+  const referees = {};
+  Object.entries(decisions).forEach(([position, decision]) => {
+    referees[`r${position}`] = {
+      id: `r${position}`,
+      platformId: "p1",
+      position,
+      decision,
+      cards: decision === "bad" ? { red: true } : null,
+    };
+  });
+
+  processRefereeLights(platforms, referees, revealed, 10000);
+  return platforms.p1.lights;
+}
+
+test("lights come on together once all three referees have decided", () => {
+  const lights = getLights({ left: "good", head: "bad", right: "good" });
+
+  assert.equal(lights.left, "white");
+  assert.equal(lights.head, "red");
+  assert.equal(lights.right, "white");
+  assert.deepEqual(lights.cards, { left: [], head: ["red"], right: [] });
+  assert.equal(lights.decided, 3);
+  assert.equal(lights.result, "good");
+  assert.equal(lights.clearAt, lights.revealedAt + 10000);
+});
+
+test("lights stay pending while a referee hasn't decided", () => {
+  const lights = getLights({ left: "good", head: null, right: "bad" });
+
+  assert.equal(lights.decided, 2);
+  assert.deepEqual(
+    [lights.left, lights.head, lights.right],
+    ["pending", "pending", "pending"]
+  );
+  assert.equal(lights.result, null);
+  assert.equal(lights.revealedAt, null);
+});
+
+test("lights stay pending while a referee's doc is missing", () => {
+  const revealed = new Map();
+  const lights = getLights({ left: "good", head: "good" }, revealed);
+
+  assert.equal(lights.decided, 2);
+  assert.deepEqual(
+    [lights.left, lights.head, lights.right],
+    ["pending", "pending", "pending"]
+  );
+  assert.equal(lights.result, null);
+  assert.equal(revealed.size, 0);
+});
+
+test("reprocessing the same decisions keeps the time the lights came on", async () => {
+  const revealed = new Map();
+  const decisions = { left: "bad", head: "bad", right: "good" };
+
+  const first = getLights(decisions, revealed);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const again = getLights(decisions, revealed);
+
+  assert.equal(first.result, "bad");
+  assert.equal(again.revealedAt, first.revealedAt);
+  assert.equal(again.clearAt, first.clearAt);
+});
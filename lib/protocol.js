@@ -0,0 +1,125 @@
+// Version of the WebSocket message protocol, sent with every snapshot and
+// delta so clients can tell what they're talking to
+export const PROTOCOL_VERSION = 2;
+
+// Payload fields holding entities by ID; deltas only carry changed entities
+const ENTITY_FIELDS = [
+  "lifters",
+  "attempts",
+  "divisions",
+  "platforms",
+  "referees",
+];
+
+// Payload fields sent whole whenever they change
+const VALUE_FIELDS = [
+  "meetInfo",
+  "federation",
+  "pointsFormula",
+  "weightClassMismatches",
+  "teamStandings",
+  "replay",
+];
+
+/**
+ * Topic for a whole meet, or for one of its platforms, e.g. "meet/sim:demo"
+ * or "meet/sim:demo/platform/psim1"
+ */
+export function getTopic(meetId, platform) {
+  return platform ? `meet/${meetId}/platform/${platform}` : `meet/${meetId}`;
+}
+
+function pick(entities, keep) {
+  return Object.fromEntries(
+    Object.entries(entities || {}).filter(([, entity]) => keep(entity))
+  );
+}
+
+/**
+ * The part of a meet payload a platform's topic carries: the platform (by ID
+ * or name), its referees, the lifters on it with their attempts and events,
+ * along with the divisions and meet-wide fields
+ */
+export function getPlatformPayload(payload, platform) {
+  const match = Object.values(payload.platforms || {}).find(
+    (p) =>
+      p.id === platform ||
+      String(p.name).toLowerCase() === platform.toLowerCase()
+  );
+  const platformId = match ? match.id : platform;
+  const lifters = pick(
+    payload.lifters,
+    (lifter) => lifter.platformId === platformId
+  );
+
+  return {
+    ...payload,
+    lifters,
+    attempts: pick(payload.attempts, (attempt) => lifters[attempt.lifterId]),
+    platforms: pick(payload.platforms, (p) => p.id === platformId),
+    referees: pick(payload.referees, (r) => r.platformId === platformId),
+    events: (payload.events || []).filter((event) => lifters[event.lifterId]),
+  };
+}
+
+/**
+ * Each entity and value of a payload as JSON, to compare the next payload
+ * against. Events aren't compared; new ones are sent in their own message.
+ */
+export function getPublishedState(payload) {
+  const published = {};
+  ENTITY_FIELDS.forEach((field) => {
+    published[field] = new Map(
+      Object.entries(payload[field] || {}).map(([id, entity]) => [
+        id,
+        JSON.stringify(entity),
+      ])
+    );
+  });
+  VALUE_FIELDS.forEach((field) => {
+    published[field] = JSON.stringify(payload[field] ?? null);
+  });
+  return published;
+}
+
+/**
+ * What changed between the last published state and a new payload. Returns
+ * `{ data, published }`, where `data` has the new and changed entities under
+ * their field, the IDs of removed ones under `removed`, and any changed
+ * values; `data` is null when nothing changed.
+ */
+export function getDelta(previous, payload) {
+  const published = getPublishedState(payload);
+  const data = { removed: {} };
+  let changed = false;
+
+  ENTITY_FIELDS.forEach((field) => {
+    const entities = {};
+    published[field].forEach((json, id) => {
+      if (previous[field].get(id) !== json) {
+        entities[id] = payload[field][id];
+        changed = true;
+      }
+    });
+    if (Object.keys(entities).length > 0) {
+      data[field] = entities;
+    }
+
+    const removed = Array.from(previous[field].keys()).filter(
+      (id) => !published[field].has(id)
+    );
+    if (removed.length > 0) {
+      data.removed[field] = removed;
+      changed = true;
+    }
+  });
+
+  VALUE_FIELDS.forEach((field) => {
+    if (previous[field] !== published[field]) {
+      data[field] = payload[field] ?? null;
+      changed = true;
+    }
+  });
+
+  return { data: changed ? data : null, published };
+}
@@ -0,0 +1,44 @@
+import { createWriteStream, mkdirSync } from "fs";
+import { join } from "path";
+
+/**
+ * File name a meet's recording is saved under (without extension), e.g.
+ * "m1a2j7aepd02-2025-10-05T12-00-00". The same name after "replay:" plays it
+ * back.
+ */
+function getRecordingName(meetKey, date) {
+  const safeKey = meetKey.replace(/[^a-zA-Z0-9_-]/g, "_");
+  const stamp = date.toISOString().slice(0, 19).replace(/:/g, "-");
+  return `${safeKey}-${stamp}`;
+}
+
+/**
+ * Record the raw docs a meet's data source delivers. Each line of the
+ * recording is one JSON entry: `{ t, type, docs }`, where `t` is the time in
+ * ms and `type` is "load" (every doc) or "changes" (changed docs only).
+ */
+export function createRecorder(dir, meetKey) {
+  mkdirSync(dir, { recursive: true });
+
+  const name = getRecordingName(meetKey, new Date());
+  const path = join(dir, `${name}.ndjson`);
+  const stream = createWriteStream(path, { flags: "a" });
+
+  stream.on("error", (err) => {
+    console.error(`Error writing recording ${path}:`, err.message);
+  });
+
+  console.log(`Recording meet ${meetKey} to ${path}`);
+
+  return {
+    name,
+
+    record(type, docs) {
+      stream.write(`${JSON.stringify({ t: Date.now(), type, docs })}\n`);
+    },
+
+    close() {
+      stream.end();
+    },
+  };
+}
@@ -0,0 +1,95 @@
+import { readFileSync, statSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { getFederationConfig } from "./federations.js";
+import { isClassic } from "./points.js";
+
+// ES6 module support
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Loaded records files by path, reloaded when the file changes on disk
+const recordsCache = new Map();
+
+/**
+ * Key a record by sex, division, weight class, equipment and lift
+ */
+function getRecordKey(sex, division, weightClass, equipment, lift) {
+  return [sex, division, weightClass, equipment, lift]
+    .map((part) => String(part || "").toUpperCase())
+    .join("|");
+}
+
+/**
+ * Equipment level records are kept under: "RAW" or "EQUIPPED"
+ */
+function getRecordEquipment(equipment) {
+  return isClassic(equipment) ? "RAW" : "EQUIPPED";
+}
+
+function loadRecordsFile(path) {
+  let mtime;
+  try {
+    mtime = statSync(path).mtimeMs;
+  } catch (err) {
+    if (!recordsCache.has(path)) {
+      console.warn(`Records file not found: ${path}`);
+      recordsCache.set(path, { mtime: null, records: new Map() });
+    }
+    return recordsCache.get(path).records;
+  }
+
+  const cached = recordsCache.get(path);
+  if (cached && cached.mtime === mtime) {
+    return cached.records;
+  }
+
+  const records = new Map();
+  try {
+    const data = JSON.parse(readFileSync(path, "utf8"));
+    (data.records || []).forEach((record) => {
+      const key = getRecordKey(
+        record.sex,
+        record.division,
+        record.weightClass,
+        getRecordEquipment(record.equipment),
+        record.lift
+      );
+      records.set(key, record);
+    });
+    console.log(`Loaded ${records.size} records from ${path}`);
+  } catch (err) {
+    console.error(`Error loading records file ${path}:`, err.message);
+  }
+
+  recordsCache.set(path, { mtime, records });
+  return records;
+}
+
+/**
+ * Get a lookup for a federation's records, from the file its `recordsFile`
+ * points to (relative to the project root). Federations without records get
+ * a lookup that never finds one.
+ */
+export function getRecords(federation) {
+  const recordsFile = getFederationConfig(federation).recordsFile;
+  const records = recordsFile
+    ? loadRecordsFile(join(__dirname, "..", recordsFile))
+    : new Map();
+
+  return function findRecord(lifter, lift) {
+    if (!lifter.weightClass || lifter.weightClass === "0") return null;
+
+    return (
+      records.get(
+        getRecordKey(
+          lifter.sex,
+          lifter.division,
+          lifter.weightClass,
+          getRecordEquipment(lifter.equipment),
+          lift
+        )
+      ) || null
+    );
+  };
+}
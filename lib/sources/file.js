@@ -0,0 +1,64 @@
+import { readFile, watchFile, unwatchFile } from "fs";
+import { join, basename } from "path";
+
+/**
+ * Read docs from a JSON dump. Accepts an `_all_docs?include_docs=true`
+ * response (`{ rows: [{ doc }] }`) or a plain array of docs.
+ */
+function readDump(path, callback) {
+  readFile(path, "utf8", (err, contents) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    try {
+      const data = JSON.parse(contents);
+      const docs = Array.isArray(data)
+        ? data
+        : (data.rows || []).map((row) => row.doc);
+      callback(
+        null,
+        docs.filter((doc) => doc && doc._id)
+      );
+    } catch (error) {
+      callback(error);
+    }
+  });
+}
+
+/**
+ * Follow a meet stored as `<meetId>.json` in the dump directory. The file is
+ * reloaded whenever it changes on disk, so a dump can be edited live during
+ * development.
+ */
+export function follow(meetId, { onLoad, onError }, { dir }) {
+  // Only ever read from the dump directory
+  const path = join(dir, `${basename(meetId)}.json`);
+  let stopped = false;
+
+  function load() {
+    readDump(path, (err, docs) => {
+      if (stopped) return;
+
+      if (err) {
+        console.error(`Error loading meet dump ${path}:`, err.message);
+        onError?.(err);
+        return;
+      }
+
+      console.log(`Loaded ${docs.length} documents from ${path}`);
+      onLoad(docs);
+    });
+  }
+
+  load();
+  watchFile(path, { interval: 1000 }, load);
+
+  return {
+    stop() {
+      stopped = true;
+      unwatchFile(path, load);
+    },
+  };
+}
@@ -0,0 +1,47 @@
+import * as liftingcast from "./liftingcast.js";
+import * as file from "./file.js";
+import * as simulator from "./simulator.js";
+import * as replay from "./replay.js";
+
+/**
+ * Data sources feed raw meet docs into the process* pipeline. Each source
+ * exports `follow(meetId, { onLoad, onChanges }, options)`, which:
+ *
+ * - calls `onLoad(docs)` with every doc in the meet (and again after any
+ *   full resync),
+ * - calls `onChanges(docs)` with changed docs as they happen, where a
+ *   deleted doc is `{ _id, _deleted: true }`,
+ * - calls `onError(error)`, if given, when fetching or reading fails,
+ * - returns a handle with `stop()`.
+ *
+ * Sources that can be played back (replay) also give the handle `play()`,
+ * `pause()`, `seek(position)`, `setSpeed(speed)` and `status()`.
+ */
+const sources = { liftingcast, file, simulator, replay };
+
+// Meet key prefixes for sources other than LiftingCast
+const prefixes = { file: "file", sim: "simulator", replay: "replay" };
+
+/**
+ * Split a meet key such as "sim:demo" into its source and source-specific
+ * meet ID. Keys without a known prefix are LiftingCast meet IDs.
+ */
+export function parseMeetKey(meetKey) {
+  const separator = meetKey.indexOf(":");
+  const prefix = separator > 0 ? meetKey.slice(0, separator) : null;
+
+  if (prefixes[prefix]) {
+    return { source: prefixes[prefix], meetId: meetKey.slice(separator + 1) };
+  }
+
+  return { source: "liftingcast", meetId: meetKey };
+}
+
+/**
+ * Start following a meet through the source its key names. `options` holds
+ * each source's settings, keyed by source name.
+ */
+export function followMeet(meetKey, handlers, options = {}) {
+  const { source, meetId } = parseMeetKey(meetKey);
+  return sources[source].follow(meetId, handlers, options[source] || {});
+}
@@ -0,0 +1,131 @@
+import fetch from "node-fetch";
+
+// How long the _changes longpoll waits for a change before returning empty,
+// unless the server is configured otherwise
+const CHANGES_TIMEOUT = 30000;
+
+const headers = {
+  Accept: "application/json",
+  "Content-Type": "application/json",
+  Origin: "https://liftingcast.com",
+  Referer: "https://liftingcast.com/",
+};
+
+async function getJson(url, timeout) {
+  const response = await fetch(url, { method: "GET", headers, timeout });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Download every doc in the database, along with the update sequence the
+ * snapshot reflects
+ */
+export async function fetchAllDocs(dbUrl) {
+  console.log(`Fetching from: ${dbUrl}`);
+  const data = await getJson(
+    `${dbUrl}/_all_docs?conflicts=true&include_docs=true&update_seq=true`
+  );
+  console.log(`Received ${data.rows?.length || 0} documents`);
+
+  // // Uncomment if required to print all JSON data, to be used for parsing data format.
+  // console.log(`Data: ${JSON.stringify(data, null, 2)}`);
+  // // NB: This is not a public API. Data format may vary.
+  // // You should always request a public API key.
+
+  const lifterCount = data.rows?.filter(
+    (row) => row.doc?._id?.startsWith("l") && row.doc?.name && row.doc?.gender
+  ).length;
+  console.log(`Found lifter docs: ${lifterCount}`);
+
+  const attemptCount = data.rows?.filter(
+    (row) =>
+      row.doc?._id?.startsWith("a") &&
+      row.doc?.liftName &&
+      row.doc?.attemptNumber &&
+      row.doc?.lifterId
+  ).length;
+  console.log(`Found attempt docs: ${attemptCount}`);
+
+  return {
+    docs: (data.rows || []).map((row) => row.doc).filter(Boolean),
+    // Servers that don't report update_seq on _all_docs only get changes
+    // from this point onwards
+    since: data.update_seq ?? "now",
+  };
+}
+
+/**
+ * Long-poll the _changes feed for docs changed after `since`, waiting up to
+ * `timeout` ms. Resolves with the changed docs (deleted docs as
+ * `{ _id, _deleted: true }`) and the sequence to continue from.
+ */
+export async function fetchChanges(dbUrl, since, timeout = CHANGES_TIMEOUT) {
+  const data = await getJson(
+    `${dbUrl}/_changes?feed=longpoll&include_docs=true&conflicts=true` +
+      `&timeout=${timeout}&since=${encodeURIComponent(since)}`,
+    timeout * 2
+  );
+
+  return {
+    docs: (data.results || []).map(
+      (change) =>
+        change.doc || { _id: change.id, _deleted: Boolean(change.deleted) }
+    ),
+    since: data.last_seq ?? since,
+  };
+}
+
+/**
+ * Follow a LiftingCast meet: load every doc once, then apply docs from the
+ * _changes feed as they arrive. Any error falls back to a full resync after
+ * `retryDelay` ms. Returns a handle whose `stop()` ends the loop once the
+ * in-flight request returns.
+ */
+export function follow(
+  meetId,
+  { onLoad, onChanges, onError },
+  { baseUrl, retryDelay, pollTimeout }
+) {
+  const dbUrl = `${baseUrl}/${meetId}_readonly`;
+  let stopped = false;
+
+  async function run() {
+    while (!stopped) {
+      try {
+        const snapshot = await fetchAllDocs(dbUrl);
+        if (stopped) return;
+
+        let since = snapshot.since;
+        onLoad(snapshot.docs);
+
+        while (!stopped) {
+          const changes = await fetchChanges(dbUrl, since, pollTimeout);
+          if (stopped) return;
+
+          since = changes.since;
+          if (changes.docs.length > 0) {
+            onChanges(changes.docs);
+          }
+        }
+      } catch (error) {
+        if (stopped) return;
+        console.error(`Error following ${dbUrl}, resyncing:`, error);
+        onError?.(error);
+        await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  run();
+
+  return {
+    stop() {
+      stopped = true;
+    },
+  };
+}
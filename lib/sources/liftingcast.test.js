@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { follow } from "./liftingcast.js";
+
+/**
+ * A CouchDB-compatible stub for one meet database. `respond(url)` gives the
+ * `{ status, body, delay }` of each request.
+ */
+function startStub(respond) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push(url);
+
+    const { status = 200, body = {}, delay = 0 } = respond(url);
+    setTimeout(() => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    }, delay);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close() {
+          server.closeAllConnections();
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+async function waitFor(check, timeout = 5000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeout) {
+      throw new Error("Timed out waiting for the source");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("loads the meet, follows _changes from its sequence and resyncs after an error", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+
+  const lifter = { _id: "l1", name: "Alex Carter", gender: "MALE" };
+  const attempt = { _id: "a1", lifterId: "l1", liftName: "squat" };
+  let loads = 0;
+  let changes = 0;
+
+  const stub = await startStub((url) => {
+    if (url.pathname === "/m1_readonly/_all_docs") {
+      loads++;
+      return {
+        body: {
+          rows: [lifter, attempt].map((doc) => ({ id: doc._id, doc })),
+          update_seq: loads === 1 ? "2-a" : "4-c",
+        },
+      };
+    }
+
+    changes++;
+    if (changes === 1) {
+      return {
+        body: {
+          results: [{ id: "l1", doc: { ...lifter, name: "Alex Carter-Li" } }],
+          last_seq: "3-b",
+        },
+      };
+    }
+    if (changes === 2) {
+      return { status: 500, body: { error: "unavailable" } };
+    }
+    if (changes === 3) {
+      return {
+        body: { results: [{ id: "a1", deleted: true }], last_seq: "5-d" },
+      };
+    }
+    // Nothing else changes; hold the longpoll a little, as CouchDB would
+    return { body: { results: [], last_seq: "5-d" }, delay: 20 };
+  });
+  t.after(() => stub.close());
+
+  const calls = [];
+  const handle = follow(
+    "m1",
+    {
+      onLoad: (docs) => calls.push(["load", docs.map((doc) => doc._id)]),
+      onChanges: (docs) => calls.push(["changes", docs]),
+      onError: (error) => calls.push(["error", error.message]),
+    },
+    { baseUrl: stub.baseUrl, retryDelay: 10, pollTimeout: 1000 }
+  );
+  t.after(() => handle.stop());
+
+  // The request after the last change goes out once its callback returns
+  const changesRequests = () =>
+    stub.requests.filter((url) => url.pathname.endsWith("_changes"));
+  await waitFor(() => calls.length >= 5 && changesRequests().length >= 4);
+  handle.stop();
+
+  assert.deepEqual(calls, [
+    ["load", ["l1", "a1"]],
+    ["changes", [{ ...lifter, name: "Alex Carter-Li" }]],
+    ["error", "HTTP error! status: 500"],
+    ["load", ["l1", "a1"]],
+    ["changes", [{ _id: "a1", _deleted: true }]],
+  ]);
+
+  const feed = changesRequests();
+  assert.deepEqual(
+    feed.slice(0, 4).map((url) => url.searchParams.get("since")),
+    ["2-a", "3-b", "4-c", "5-d"]
+  );
+  assert.equal(feed[0].searchParams.get("feed"), "longpoll");
+  assert.equal(feed[0].searchParams.get("timeout"), "1000");
+});
+
+test("follows changes from now when _all_docs has no update_seq", async (t) => {
+  t.mock.method(console, "log", () => {});
+
+  const stub = await startStub((url) =>
+    url.pathname.endsWith("_all_docs")
+      ? { body: { rows: [] } }
+      : { body: { results: [], last_seq: "1-a" }, delay: 20 }
+  );
+  t.after(() => stub.close());
+
+  const loads = [];
+  const handle = follow(
+    "m1",
+    { onLoad: (docs) => loads.push(docs), onChanges: () => {} },
+    { baseUrl: stub.baseUrl, retryDelay: 10, pollTimeout: 1000 }
+  );
+  t.after(() => handle.stop());
+
+  await waitFor(() =>
+    stub.requests.some((url) => url.pathname.endsWith("_changes"))
+  );
+  handle.stop();
+
+  assert.deepEqual(loads, [[]]);
+  const feed = stub.requests.find((url) => url.pathname.endsWith("_changes"));
+  assert.equal(feed.searchParams.get("since"), "now");
+});
@@ -0,0 +1,190 @@
+import { readFile } from "fs";
+import { join, basename } from "path";
+
+/**
+ * Read a recording made by lib/recorder.js into entries with `offset` (ms
+ * since the first entry), `type` and `docs`
+ */
+function readRecording(path, callback) {
+  readFile(path, "utf8", (err, contents) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    try {
+      const entries = contents
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+
+      if (entries.length === 0 || entries[0].type !== "load") {
+        throw new Error("Recording does not start with a full load");
+      }
+
+      const startTime = entries[0].t;
+      callback(
+        null,
+        entries.map((entry) => ({ ...entry, offset: entry.t - startTime })),
+        startTime
+      );
+    } catch (error) {
+      callback(error);
+    }
+  });
+}
+
+/**
+ * Play back a recorded meet from the recordings directory. Playback starts
+ * paused at the beginning. Besides `stop()`, the handle has `play()`,
+ * `pause()`, `seek(position)` (ms from the start), `setSpeed(speed)` and
+ * `status()`.
+ */
+export function follow(meetId, { onLoad, onChanges, onError }, { dir }) {
+  // Only ever read from the recordings directory
+  const path = join(dir, `${basename(meetId)}.ndjson`);
+
+  let entries = [];
+  let startTime = null;
+  let nextIndex = 0; // Next entry to play
+  let position = 0; // Playback position (ms) when `playingSince` was set
+  let playingSince = null; // Wall clock time playback last resumed, or null
+  let speed = 1;
+  let timer = null;
+  let stopped = false;
+
+  function getPosition() {
+    if (playingSince === null) return position;
+    return position + (Date.now() - playingSince) * speed;
+  }
+
+  function getDuration() {
+    return entries.length > 0 ? entries[entries.length - 1].offset : 0;
+  }
+
+  /**
+   * Schedule the next entry for its moment in the recording, allowing for
+   * the playback speed
+   */
+  function scheduleNext() {
+    clearTimeout(timer);
+    if (stopped || playingSince === null || nextIndex >= entries.length) {
+      return;
+    }
+
+    const delay = (entries[nextIndex].offset - getPosition()) / speed;
+    timer = setTimeout(playNext, Math.max(0, delay));
+  }
+
+  function playNext() {
+    const entry = entries[nextIndex];
+    nextIndex += 1;
+
+    if (nextIndex >= entries.length) {
+      // Stop at the end, before the last entry is broadcast with the status
+      position = getDuration();
+      playingSince = null;
+    }
+
+    if (entry.type === "load") {
+      onLoad(entry.docs);
+    } else {
+      onChanges(entry.docs);
+    }
+
+    scheduleNext();
+  }
+
+  /**
+   * Rebuild the full set of docs at `target` from the last load before it
+   * plus every change since, and hand it over as a fresh load
+   */
+  function seek(target) {
+    const clamped = Math.min(Math.max(0, target), getDuration());
+    const docs = new Map();
+
+    nextIndex = 0;
+    while (nextIndex < entries.length && entries[nextIndex].offset <= clamped) {
+      const entry = entries[nextIndex];
+      if (entry.type === "load") {
+        docs.clear();
+      }
+      entry.docs.forEach((doc) => {
+        if (doc._deleted) {
+          docs.delete(doc._id);
+        } else {
+          docs.set(doc._id, doc);
+        }
+      });
+      nextIndex += 1;
+    }
+
+    position = clamped;
+    if (playingSince !== null) {
+      playingSince = Date.now();
+    }
+
+    onLoad(Array.from(docs.values()));
+    scheduleNext();
+  }
+
+  readRecording(path, (err, recorded, recordedStart) => {
+    if (stopped) return;
+
+    if (err) {
+      console.error(`Error loading recording ${path}:`, err.message);
+      onError?.(err);
+      return;
+    }
+
+    console.log(`Loaded ${recorded.length} entries from ${path}`);
+    entries = recorded;
+    startTime = recordedStart;
+    seek(0);
+  });
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+
+    play() {
+      if (playingSince !== null) return;
+      if (nextIndex >= entries.length) {
+        // Restart from the beginning once the end has been reached
+        seek(0);
+      }
+      playingSince = Date.now();
+      scheduleNext();
+    },
+
+    pause() {
+      position = getPosition();
+      playingSince = null;
+      clearTimeout(timer);
+    },
+
+    seek,
+
+    setSpeed(newSpeed) {
+      if (!(newSpeed > 0)) return;
+      position = getPosition();
+      if (playingSince !== null) {
+        playingSince = Date.now();
+      }
+      speed = newSpeed;
+      scheduleNext();
+    },
+
+    status() {
+      return {
+        startTime,
+        position: Math.min(getPosition(), getDuration()),
+        duration: getDuration(),
+        speed,
+        playing: playingSince !== null,
+      };
+    },
+  };
+}
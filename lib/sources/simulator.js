@@ -0,0 +1,306 @@
+const LIFTS = [
+  { name: "squat", key: "s" },
+  { name: "bench", key: "b" },
+  { name: "dead", key: "d" },
+];
+
+const LIFTER_NAMES = [
+  ["Alex Carter", "MALE"],
+  ["Sam Nguyen", "FEMALE"],
+  ["Jordan Blake", "MALE"],
+  ["Riley Morgan", "FEMALE"],
+  ["Casey Patel", "MALE"],
+  ["Taylor Brooks", "FEMALE"],
+  ["Jamie Okafor", "MALE"],
+  ["Morgan Lee", "FEMALE"],
+];
+
+// Opening attempt as a multiple of bodyweight, [min, max], per lift and sex
+const OPENER_RATIOS = {
+  squat: { MALE: [1.6, 2.4], FEMALE: [1.3, 2.0] },
+  bench: { MALE: [1.0, 1.5], FEMALE: [0.6, 1.0] },
+  dead: { MALE: [2.0, 2.8], FEMALE: [1.6, 2.3] },
+};
+
+const CLOCK_LENGTH = 60000;
+const GOOD_LIFT_CHANCE = 0.8;
+const CARD_COLOURS = ["red", "blue", "yellow"];
+
+/**
+ * Small seeded PRNG (mulberry32) so the same meet ID always plays out the
+ * same way
+ */
+function createRandom(seedText) {
+  let seed = 0;
+  for (const char of seedText) {
+    seed = (Math.imul(seed, 31) + char.charCodeAt(0)) | 0;
+  }
+
+  return function random() {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function roundToPlate(weight) {
+  return Math.round(weight / 2.5) * 2.5;
+}
+
+/**
+ * Build a scripted meet with one platform and flight. Each `step()` moves the
+ * meet forward by one event (lifter called, referees decide, next attempt
+ * declared) and returns the docs it changed.
+ */
+export function createSimulation(meetId) {
+  const random = createRandom(meetId);
+  const between = (min, max) => min + random() * (max - min);
+
+  const platformId = "psim1";
+  const divisionId = "dsimopen";
+  const juniorDivisionId = "dsimjunior";
+  const docs = new Map();
+
+  function save(doc) {
+    doc._rev = `${(parseInt(doc._rev) || 0) + 1}-sim`;
+    docs.set(doc._id, doc);
+    return { ...doc };
+  }
+
+  save({
+    _id: `msim${meetId}`,
+    name: `Simulated Meet (${meetId})`,
+    date: new Date().toISOString().slice(0, 10),
+    federation: "IPF",
+    units: "KG",
+  });
+
+  save({ _id: divisionId, name: "Open", rawOrEquipped: "RAW" });
+  save({ _id: juniorDivisionId, name: "Junior", rawOrEquipped: "RAW" });
+
+  const platform = {
+    _id: platformId,
+    name: "Platform 1",
+    clockState: "initial",
+    clockTimerLength: CLOCK_LENGTH,
+    barAndCollarsWeight: 25,
+    currentAttemptId: null,
+  };
+  save(platform);
+
+  const referees = ["left", "head", "right"].map((position) => {
+    const referee = {
+      _id: `r${position}-${platformId}`,
+      platformId,
+      position,
+      decision: null,
+      cards: null,
+    };
+    save(referee);
+    return referee;
+  });
+
+  const lifters = LIFTER_NAMES.map(([name, gender], index) => {
+    const bodyWeight =
+      Math.round(
+        (gender === "MALE" ? between(60, 120) : between(48, 90)) * 10
+      ) / 10;
+
+    const birthYear = Math.floor(between(1970, 2005));
+
+    const lifter = {
+      _id: `lsim${index + 1}`,
+      name,
+      gender,
+      birthDate: `${birthYear}-06-15`,
+      bodyWeight,
+      lot: index + 1,
+      platformId,
+      session: 1,
+      flight: "A",
+      team: index % 2 === 0 ? "Barbell Club" : "Iron Collective",
+      // Younger lifters also compete as juniors
+      divisions:
+        birthYear >= 2000
+          ? [{ divisionId }, { divisionId: juniorDivisionId }]
+          : [{ divisionId }],
+      squatRackHeight: String(Math.floor(between(8, 16))),
+      benchRackHeight: String(Math.floor(between(2, 8))),
+    };
+    save(lifter);
+
+    // Openers are declared for every lift up front
+    LIFTS.forEach((lift) => {
+      const [min, max] = OPENER_RATIOS[lift.name][gender];
+      save({
+        _id: `a1${lift.key}-${lifter._id}`,
+        lifterId: lifter._id,
+        liftName: lift.name,
+        attemptNumber: "1",
+        weight: roundToPlate(bodyWeight * between(min, max)),
+        result: null,
+        createDate: new Date().toISOString(),
+      });
+    });
+
+    return lifter;
+  });
+
+  let liftIndex = 0;
+  let round = 1;
+  let queue = [];
+  let phase = "call";
+  let current = null;
+
+  /**
+   * Unjudged attempts for the current lift and round, lightest first, then
+   * by lot
+   */
+  function buildQueue() {
+    const lift = LIFTS[liftIndex];
+    return lifters
+      .map((lifter) => docs.get(`a${round}${lift.key}-${lifter._id}`))
+      .filter((attempt) => attempt && attempt.result === null)
+      .sort((a, b) => {
+        if (a.weight !== b.weight) return a.weight - b.weight;
+        return docs.get(a.lifterId).lot - docs.get(b.lifterId).lot;
+      });
+  }
+
+  function callNextLifter() {
+    if (queue.length === 0) {
+      queue = buildQueue();
+    }
+
+    while (queue.length === 0) {
+      round += 1;
+      if (round > 3) {
+        round = 1;
+        liftIndex += 1;
+      }
+      if (liftIndex >= LIFTS.length) {
+        phase = "finished";
+        platform.currentAttemptId = null;
+        platform.clockState = "initial";
+        return [save(platform)];
+      }
+      queue = buildQueue();
+    }
+
+    current = queue.shift();
+    platform.currentAttemptId = current._id;
+    platform.clockState = {
+      state: "started",
+      remaining: CLOCK_LENGTH,
+      updatedAt: Date.now(),
+    };
+    phase = "decide";
+    return [save(platform)];
+  }
+
+  function decide() {
+    const good = random() < GOOD_LIFT_CHANCE;
+    const goodLights = good
+      ? 2 + (random() < 0.7 ? 1 : 0)
+      : random() < 0.5
+      ? 1
+      : 0;
+
+    // Red lights come with a fault card
+    referees.forEach((referee, index) => {
+      referee.decision = index < goodLights ? "good" : "bad";
+      referee.cards =
+        referee.decision === "bad"
+          ? { [CARD_COLOURS[Math.floor(random() * CARD_COLOURS.length)]]: true }
+          : null;
+    });
+
+    current.result = good ? "good" : "bad";
+    // Stop the clock where it got to since the lifter was called
+    const started = platform.clockState.updatedAt;
+    platform.clockState = {
+      state: "stopped",
+      remaining: Math.max(0, CLOCK_LENGTH - (Date.now() - started)),
+      updatedAt: Date.now(),
+    };
+    phase = "declare";
+
+    return [save(current), save(platform), ...referees.map(save)];
+  }
+
+  function declareNextAttempt() {
+    const changed = referees.map((referee) => {
+      referee.decision = null;
+      referee.cards = null;
+      return save(referee);
+    });
+
+    const attemptNumber = parseInt(current.attemptNumber);
+    if (attemptNumber < 3) {
+      const increase =
+        current.result === "good" ? roundToPlate(between(2.5, 12.5)) : 0;
+      changed.push(
+        save({
+          _id: `a${attemptNumber + 1}${current._id.charAt(2)}-${
+            current.lifterId
+          }`,
+          lifterId: current.lifterId,
+          liftName: current.liftName,
+          attemptNumber: String(attemptNumber + 1),
+          weight: current.weight + increase,
+          result: null,
+          createDate: new Date().toISOString(),
+        })
+      );
+    }
+
+    phase = "call";
+    return changed;
+  }
+
+  return {
+    docs() {
+      return Array.from(docs.values(), (doc) => ({ ...doc }));
+    },
+
+    get finished() {
+      return phase === "finished";
+    },
+
+    step() {
+      if (phase === "call") return callNextLifter();
+      if (phase === "decide") return decide();
+      if (phase === "declare") return declareNextAttempt();
+      return [];
+    },
+  };
+}
+
+/**
+ * Follow a simulated meet. The meet ID only seeds the simulation, so any ID
+ * gives a repeatable meet. The simulation advances one step every `interval`
+ * ms until the last deadlift has been judged.
+ */
+export function follow(meetId, { onLoad, onChanges }, { interval = 3000 }) {
+  const simulation = createSimulation(meetId);
+  onLoad(simulation.docs());
+
+  const timer = setInterval(() => {
+    const changed = simulation.step();
+    if (changed.length > 0) {
+      onChanges(changed);
+    }
+
+    if (simulation.finished) {
+      console.log(`Simulated meet ${meetId} finished`);
+      clearInterval(timer);
+    }
+  }, interval);
+
+  return {
+    stop() {
+      clearInterval(timer);
+    },
+  };
+}
@@ -0,0 +1,159 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSimulation } from "./simulator.js";
+import { loadMeetDocs, applyMeetDocs } from "../process.js";
+import { getLiftType } from "../lifts.js";
+
+// More steps than any simulated meet takes (three per attempt, plus one)
+const MAX_STEPS = 1000;
+
+function createMeet() {
+  return {
+    federation: "IPF",
+    docs: new Map(),
+    revealedLights: new Map(),
+  };
+}
+
+/**
+ * Play a seeded meet to the end, feeding each step's docs through the
+ * pipeline as a live source would
+ */
+function playMeet(seed) {
+  const simulation = createSimulation(seed);
+  const meet = createMeet();
+  loadMeetDocs(meet, simulation.docs());
+
+  for (let i = 0; i < MAX_STEPS && !simulation.finished; i++) {
+    applyMeetDocs(meet, simulation.step());
+  }
+  return { simulation, meet };
+}
+
+function getResults(meet) {
+  return Object.values(meet.lifters).map((lifter) => ({
+    id: lifter.id,
+    total: lifter.total,
+    places: lifter.divisions.map((entry) => entry.place),
+  }));
+}
+
+test("a seeded meet runs to the end with every attempt judged", (t) => {
+  t.mock.method(console, "log", () => {});
+  const { simulation, meet } = playMeet("demo");
+
+  assert.equal(simulation.finished, true);
+  assert.equal(Object.keys(meet.lifters).length, 8);
+
+  const attempts = Object.values(meet.attempts);
+  assert.equal(attempts.length, 8 * 9);
+  assert.ok(attempts.every((attempt) => attempt.result !== null));
+  assert.equal(meet.platforms.psim1.currentAttemptId, null);
+});
+
+test("totals are each lifter's best good lifts", (t) => {
+  t.mock.method(console, "log", () => {});
+  const { simulation, meet } = playMeet("demo");
+
+  const bests = new Map();
+  simulation
+    .docs()
+    .filter((doc) => doc._id.startsWith("a") && doc.result === "good")
+    .forEach((doc) => {
+      const key = `${doc.lifterId}_${getLiftType(doc.liftName)}`;
+      bests.set(key, Math.max(bests.get(key) || 0, doc.weight));
+    });
+
+  Object.values(meet.lifters).forEach((lifter) => {
+    const expected = ["squat", "bench", "deadlift"].reduce(
+      (total, lift) => total + (bests.get(`${lifter.id}_${lift}`) || 0),
+      0
+    );
+    assert.equal(lifter.total, expected, lifter.name);
+    assert.ok(lifter.total > 0, lifter.name);
+  });
+});
+
+test("lifters are placed by total in every division they are entered in", (t) => {
+  t.mock.method(console, "log", () => {});
+  const { meet } = playMeet("demo");
+
+  const groups = {};
+  Object.values(meet.lifters).forEach((lifter) => {
+    lifter.divisions.forEach((entry) => {
+      const key = `${entry.divisionId}_${lifter.sex}_${entry.weightClass}`;
+      (groups[key] = groups[key] || []).push({ lifter, entry });
+    });
+  });
+
+  // The simulator's juniors are also entered in Open
+  assert.ok(
+    Object.values(meet.lifters).some((lifter) => lifter.divisions.length > 1)
+  );
+
+  Object.values(groups).forEach((group) => {
+    group
+      .sort(
+        ({ lifter: a }, { lifter: b }) =>
+          b.total - a.total || a.bodyweight - b.bodyweight || a.lot - b.lot
+      )
+      .forEach(({ lifter, entry }, index) => {
+        assert.equal(entry.place, index + 1, lifter.name);
+      });
+  });
+
+  Object.values(meet.lifters).forEach((lifter) => {
+    assert.equal(lifter.place, lifter.divisions[0].place);
+  });
+});
+
+test("best lifters are ranked in every division they are entered in", (t) => {
+  t.mock.method(console, "log", () => {});
+  const { meet } = playMeet("demo");
+  const lifters = Object.values(meet.lifters);
+
+  const divisionIds = new Set(
+    lifters.flatMap((lifter) => lifter.divisions.map((e) => e.divisionId))
+  );
+  divisionIds.forEach((divisionId) => {
+    ["FEMALE", "MALE"].forEach((sex) => {
+      lifters
+        .filter((lifter) => lifter.sex === sex)
+        .map((lifter) => ({
+          lifter,
+          entry: lifter.divisions.find((e) => e.divisionId === divisionId),
+        }))
+        .filter(({ entry }) => entry)
+        .sort((a, b) => b.lifter.points.ipfgl - a.lifter.points.ipfgl)
+        .forEach(({ lifter, entry }, index) => {
+          assert.deepEqual(entry.pointsRank, {
+            overall: lifter.pointsRank.overall,
+            division: index + 1,
+          });
+        });
+    });
+  });
+
+  lifters.forEach((lifter) => {
+    assert.equal(
+      lifter.pointsRank.division,
+      lifter.divisions[0].pointsRank.division
+    );
+  });
+});
+
+test("the same seed gives the same results, live or loaded at the end", (t) => {
+  t.mock.method(console, "log", () => {});
+  const first = playMeet("demo");
+  const second = playMeet("demo");
+
+  const reloaded = createMeet();
+  loadMeetDocs(reloaded, first.simulation.docs());
+
+  assert.deepEqual(getResults(second.meet), getResults(first.meet));
+  assert.deepEqual(getResults(reloaded), getResults(first.meet));
+  assert.notDeepEqual(
+    getResults(playMeet("rehearsal").meet),
+    getResults(first.meet)
+  );
+});
@@ -0,0 +1,113 @@
+import { getFederationConfig } from "./federations.js";
+import { POINTS_FORMULAS } from "./points.js";
+
+// Team scoring used when a federation doesn't configure its own
+const DEFAULT_TEAM_SCORING = {
+  method: "place",
+  placePoints: [12, 9, 8, 7, 6, 5, 4, 3, 2, 1],
+  topN: null,
+};
+
+/**
+ * A federation's team scoring, from `teamScoring` in federations.json:
+ *
+ * - `method`: "place" to score each lifter from their place with
+ *   `placePoints` (1st, 2nd, 3rd...), or "points" to add up their points
+ *   using `formula` (the federation's points formula by default),
+ * - `topN`: how many of a team's best scores count, or null for all.
+ */
+export function getTeamScoring(federation, pointsFormula) {
+  const config = {
+    ...DEFAULT_TEAM_SCORING,
+    ...getFederationConfig(federation).teamScoring,
+  };
+
+  return {
+    method: config.method === "points" ? "points" : "place",
+    placePoints: Array.isArray(config.placePoints) ? config.placePoints : [],
+    formula: POINTS_FORMULAS[config.formula] ? config.formula : pointsFormula,
+    topN: config.topN > 0 ? config.topN : null,
+  };
+}
+
+/**
+ * What a lifter scores for their team. With place scoring, a lifter in
+ * several divisions scores for their best placing only.
+ */
+function scoreLifter(lifter, scoring) {
+  if (scoring.method === "points") {
+    return { score: lifter.points[scoring.formula] || 0, entry: null };
+  }
+
+  let best = { score: 0, entry: null };
+  lifter.divisions.forEach((entry) => {
+    const score = entry.place ? scoring.placePoints[entry.place - 1] || 0 : 0;
+    if (score > best.score) {
+      best = { score, entry };
+    }
+  });
+  return best;
+}
+
+function round(score) {
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Work out team standings from lifters' `team`. Each team has `name`,
+ * `score`, `place` (tied teams share a place) and `scorers`: its lifters,
+ * best score first, with whether their score `counted` towards the top N.
+ */
+export function calculateTeamStandings(lifters, scoring) {
+  const teams = new Map();
+
+  Object.values(lifters).forEach((lifter) => {
+    const name = String(lifter.team || "").trim();
+    if (!name) return;
+
+    const { score, entry } = scoreLifter(lifter, scoring);
+    if (!teams.has(name)) {
+      teams.set(name, { name, score: 0, place: null, scorers: [] });
+    }
+    teams.get(name).scorers.push({
+      lifterId: lifter.id,
+      name: lifter.name,
+      division: entry ? entry.division : lifter.division,
+      weightClass: entry ? entry.weightClass : lifter.weightClass,
+      place: entry ? entry.place : lifter.place,
+      score: round(score),
+      counted: false,
+    });
+  });
+
+  const standings = Array.from(teams.values());
+  standings.forEach((team) => {
+    team.scorers.sort((a, b) => b.score - a.score);
+    team.scorers.forEach((scorer, index) => {
+      scorer.counted =
+        scorer.score > 0 && (scoring.topN === null || index < scoring.topN);
+      if (scorer.counted) {
+        team.score += scorer.score;
+      }
+    });
+    team.score = round(team.score);
+  });
+
+  standings.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  standings.forEach((team, index) => {
+    const previous = standings[index - 1];
+    team.place =
+      team.score <= 0
+        ? null
+        : previous && previous.score === team.score
+        ? previous.place
+        : index + 1;
+  });
+
+  return {
+    method: scoring.method,
+    formula: scoring.method === "points" ? scoring.formula : null,
+    topN: scoring.topN,
+    teams: standings,
+  };
+}
@@ -0,0 +1,300 @@
+// Where the admin token is saved, so the display page can log in with it too
+const ADMIN_TOKEN_KEY = "adminToken";
+
+// How often to ask the server for its status (ms)
+const STATUS_INTERVAL = 2000;
+
+// How long to wait before reconnecting a dropped connection (ms)
+const RECONNECT_DELAY = 3000;
+
+// Application State
+const state = {
+  ws: null,
+  role: null, // "admin" or "viewer", once the server says
+  authPending: false, // Waiting to hear whether the saved token works
+  authRequired: false,
+  federations: [],
+  status: null, // Latest status from the server
+  formLoaded: false, // Whether the config form has been filled from the server
+};
+
+// DOM Elements
+const elements = {
+  loginPanel: document.getElementById("login-panel"),
+  mainDisplay: document.getElementById("main-display"),
+  tokenInput: document.getElementById("admin-token"),
+  loginBtn: document.getElementById("login-btn"),
+  loginError: document.getElementById("login-error"),
+  logoutBtn: document.getElementById("logout-btn"),
+  authMode: document.getElementById("auth-mode"),
+  statusTime: document.getElementById("status-time"),
+  meetIdInput: document.getElementById("config-meet-id"),
+  federationSelect: document.getElementById("config-federation"),
+  viewSelect: document.getElementById("config-view"),
+  platformInput: document.getElementById("config-platform"),
+  divisionInput: document.getElementById("config-division"),
+  unitsSelect: document.getElementById("config-units"),
+  rankSelect: document.getElementById("config-rank"),
+  configError: document.getElementById("config-error"),
+  saveConfigBtn: document.getElementById("save-config-btn"),
+  meetsBody: document.getElementById("meets-body"),
+  clientsBody: document.getElementById("clients-body"),
+  statusIndicator: document.getElementById("status-indicator"),
+  statusText: document.getElementById("status-text"),
+};
+
+/**
+ * Initialise WebSocket connection, logging in with the saved token
+ */
+function connectWebSocket() {
+  updateStatus("connecting", "Connecting...");
+
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  const ws = new WebSocket(`${protocol}//${window.location.host}/ws`);
+  state.ws = ws;
+
+  ws.onopen = () => {
+    updateStatus("connected", "Connected");
+
+    const token = window.localStorage.getItem(ADMIN_TOKEN_KEY);
+    state.authPending = Boolean(token);
+    if (token) {
+      sendMessage({ type: "auth", token });
+    }
+  };
+
+  ws.onmessage = (event) => {
+    handleWebSocketMessage(JSON.parse(event.data));
+  };
+
+  ws.onerror = (error) => {
+    console.error("WebSocket error:", error);
+    updateStatus("disconnected", "Connection Error");
+  };
+
+  ws.onclose = () => {
+    if (state.ws !== ws) return;
+
+    updateStatus("disconnected", "Reconnecting...");
+    setTimeout(() => {
+      if (state.ws === ws) {
+        connectWebSocket();
+      }
+    }, RECONNECT_DELAY);
+  };
+}
+
+/**
+ * Send a message to the server, if connected
+ */
+function sendMessage(message) {
+  if (!state.ws || state.ws.readyState !== WebSocket.OPEN) return;
+  state.ws.send(JSON.stringify(message));
+}
+
+/**
+ * Handle incoming WebSocket messages
+ */
+function handleWebSocketMessage(message) {
+  if (message.type === "initial") {
+    state.role = message.data.role;
+    state.authRequired = message.data.authRequired;
+    state.federations = message.data.federations || [];
+    state.formLoaded = false;
+    if (!state.authPending) {
+      updateRole();
+    }
+  } else if (message.type === "auth") {
+    state.role = message.role;
+    state.authPending = false;
+    updateRole();
+  } else if (message.type === "status") {
+    state.status = message.data;
+    renderStatus();
+  } else if (message.type === "config") {
+    // Another admin saved; show what the server now has
+    state.formLoaded = false;
+    requestStatus();
+  } else if (message.type === "error") {
+    if (state.role === "admin") {
+      showError(elements.configError, message.message);
+      return;
+    }
+
+    // Wrong token: forget it and ask for another
+    window.localStorage.removeItem(ADMIN_TOKEN_KEY);
+    state.authPending = false;
+    updateRole();
+    showError(elements.loginError, message.message);
+  }
+}
+
+/**
+ * Show the login panel until the server accepts this client as an admin
+ */
+function updateRole() {
+  const isAdmin = state.role === "admin";
+  elements.loginPanel.classList.toggle("hidden", isAdmin);
+  elements.mainDisplay.classList.toggle("hidden", !isAdmin);
+  elements.logoutBtn.classList.toggle("hidden", !state.authRequired);
+  elements.authMode.innerHTML = `Authentication: ${
+    state.authRequired ? "admin token" : "off (set ADMIN_TOKEN)"
+  }`;
+
+  if (isAdmin) {
+    elements.loginError.classList.add("hidden");
+    elements.federationSelect.innerHTML = state.federations
+      .map(
+        (federation) => `<option value="${federation}">${federation}</option>`
+      )
+      .join("");
+    requestStatus();
+  }
+}
+
+function requestStatus() {
+  if (state.role === "admin") {
+    sendMessage({ type: "status" });
+  }
+}
+
+function showError(element, message) {
+  element.innerHTML = message;
+  element.classList.remove("hidden");
+}
+
+function formatTime(time) {
+  return time ? new Date(time).toLocaleTimeString() : "-";
+}
+
+/**
+ * Fill the config form from the server's configuration, once, so edits in
+ * progress aren't overwritten by the next status
+ */
+function loadConfigForm(config) {
+  if (state.formLoaded) return;
+  state.formLoaded = true;
+
+  const display = config.display || {};
+  elements.meetIdInput.value = config.meetId || "";
+  elements.federationSelect.value = config.federation;
+  elements.viewSelect.value = display.view || "";
+  elements.platformInput.value = display.platform || "";
+  elements.divisionInput.value = display.division || "";
+  elements.unitsSelect.value = display.units || "";
+  elements.rankSelect.value = display.rank || "";
+}
+
+/**
+ * Show the server's configuration, followed meets and connected clients
+ */
+function renderStatus() {
+  const status = state.status;
+  loadConfigForm(status.config);
+  elements.statusTime.innerHTML = `Last checked: ${formatTime(Date.now())}`;
+
+  elements.meetsBody.innerHTML =
+    status.meets.length === 0
+      ? `<tr><td colspan="7">No meets are being followed</td></tr>`
+      : status.meets
+          .map(
+            (meet) => `
+      <tr>
+        <td>${meet.meetId}${meet.pinned ? " (configured)" : ""}</td>
+        <td>${meet.source}</td>
+        <td>${meet.federation}</td>
+        <td>${meet.lifters}</td>
+        <td>${formatTime(meet.lastUpdate)}</td>
+        <td class="${meet.lastError ? "fetch-error" : "fetch-ok"}">${
+              meet.lastError
+                ? `${meet.lastError.message} (${formatTime(
+                    meet.lastError.time
+                  )})`
+                : meet.lastUpdate
+                ? "OK"
+                : "Loading..."
+            }</td>
+        <td>${meet.subscribers}</td>
+      </tr>`
+          )
+          .join("");
+
+  elements.clientsBody.innerHTML = status.clients
+    .map(
+      (client) => `
+      <tr>
+        <td>${client.role}</td>
+        <td>${client.address}</td>
+        <td>${formatTime(client.connectedAt)}</td>
+        <td>${client.meetId || "-"}</td>
+        <td>${client.topic || "-"}</td>
+      </tr>`
+    )
+    .join("");
+}
+
+/**
+ * Send the config form to the server
+ */
+function saveConfig() {
+  elements.configError.classList.add("hidden");
+  sendMessage({
+    type: "set-config",
+    meetId: elements.meetIdInput.value.trim(),
+    federation: elements.federationSelect.value,
+    display: {
+      view: elements.viewSelect.value,
+      platform: elements.platformInput.value.trim(),
+      division: elements.divisionInput.value.trim(),
+      units: elements.unitsSelect.value,
+      rank: elements.rankSelect.value,
+    },
+  });
+}
+
+function login() {
+  const token = elements.tokenInput.value;
+  if (!token) return;
+
+  elements.loginError.classList.add("hidden");
+  window.localStorage.setItem(ADMIN_TOKEN_KEY, token);
+  sendMessage({ type: "auth", token });
+}
+
+/**
+ * Forget the token and start again as a viewer
+ */
+function logout() {
+  window.localStorage.removeItem(ADMIN_TOKEN_KEY);
+  const ws = state.ws;
+  state.ws = null;
+  ws?.close();
+  connectWebSocket();
+}
+
+/**
+ * Update connection status indicator
+ */
+function updateStatus(status, text) {
+  elements.statusIndicator.className = `status-indicator ${status}`;
+  elements.statusText.innerHTML = text;
+}
+
+/**
+ * Event Listeners
+ */
+elements.loginBtn.addEventListener("click", login);
+elements.tokenInput.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") {
+    login();
+  }
+});
+elements.logoutBtn.addEventListener("click", logout);
+elements.saveConfigBtn.addEventListener("click", saveConfig);
+
+setInterval(requestStatus, STATUS_INTERVAL);
+
+/**
+ * Initialise application
+ */
+connectWebSocket();
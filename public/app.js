@@ -1,19 +1,87 @@
+// Display names for the points formulas
+const POINTS_LABELS = {
+  ipfgl: "IPF GL",
+  dots: "Dots",
+  wilks: "Wilks",
+};
+
+// Lifts in competition order
+const LIFTS = ["squat", "bench", "deadlift"];
+
+// Clock warnings (ms remaining)
+const CLOCK_WARNING = 30000;
+const CLOCK_CRITICAL = 10000;
+
+// Referee positions, left to right as the lifter faces them
+const REFEREE_POSITIONS = ["left", "head", "right"];
+
+// How long to wait before reconnecting a dropped connection (ms)
+const RECONNECT_DELAY = 3000;
+
+// Where the admin page saves the admin token, for logging in here too
+const ADMIN_TOKEN_KEY = "adminToken";
+
+// Events kept for the ticker, as many as the server keeps per meet
+const EVENT_HISTORY_SIZE = 200;
+
+// How many events the ticker shows at once
+const TICKER_LENGTH = 30;
+
+// Ticker labels for each event type
+const EVENT_LABELS = {
+  "attempt-declared": "Declared",
+  "good-lift": "Good Lift",
+  "no-lift": "No Lift",
+  "record-set": "Record",
+  "new-total": "Total",
+  "place-change": "Place",
+  "bombed-out": "Bomb Out",
+};
+
+// Entities kept by ID in the state, which deltas update one at a time
+const DELTA_ENTITIES = ["lifters", "attempts", "platforms", "referees"];
+
+// Units a page URL can ask for, by `units` parameter
+const URL_UNITS = { KG: "KG", LB: "LBS", LBS: "LBS", MEET: "meet" };
+
 // Application State
 const state = {
   ws: null,
+  role: null, // "admin" or "viewer", once the server says
+  authPending: false, // Waiting to hear whether the saved admin token works
+  serverConfig: null, // Meet and display settings an admin has chosen
+  meetId: null, // Meet being shown
+  urlMeetId: null, // Meet the page URL asks for
   lifters: {},
   platforms: {},
   referees: {},
   attempts: {},
   meetInfo: {},
   federation: null,
+  pointsFormula: "ipfgl", // Formula that decides best lifter
+  teamStandings: null,
+  events: [], // Latest meet events, oldest first
+  tickerLastEventId: null, // Newest event the ticker has shown
   filters: {
     male: true,
     female: true,
     search: "",
+    division: "", // Division ID; "" for all
+    equipment: "",
+    weightClass: "",
+    platform: "", // Platform ID
+    session: "",
+    flight: "",
   },
+  replay: null, // Playback status when watching a recorded meet
+  seq: null, // Sequence number of the last snapshot or delta applied
+  subscribedPlatform: "", // Platform the server sends; "" for the whole meet
+  clockOffset: 0, // Server time minus local time (ms), for the platform clock
   currentPlatformId: null, // To toggle between platforms later
-  layout: "table", // 'table', 'compact', 'timer', 'plates', 'overlay'
+  layout: "table", // 'table', 'compact', 'leaderboard', 'teams', 'timer', 'plates', 'overlay', 'order', 'announcer', 'ticker'
+  rankBy: "place", // 'place' or 'points' (best lifter)
+  units: "meet", // 'meet', 'KG' or 'LBS': the units this screen shows first
+  showSecondaryUnits: true, // Show weights in the other unit alongside
   columnOrder: [], // For drag-and-drop reordering
 };
 
@@ -28,96 +96,376 @@ const elements = {
   disconnectBtn: document.getElementById("disconnect-btn"),
   toggleLayoutBtn: document.getElementById("toggle-layout"),
   fullscreenBtn: document.getElementById("fullscreen-btn"),
+  exportCsv: document.getElementById("export-csv"),
+  exportJson: document.getElementById("export-json"),
+  exportOpenPowerlifting: document.getElementById("export-openpowerlifting"),
+  rankBySelect: document.getElementById("rank-by"),
+  pointsHeader: document.getElementById("points-header"),
+  totalHeader: document.getElementById("total-header"),
+  unitsSelect: document.getElementById("display-units"),
+  secondaryUnitsToggle: document.getElementById("show-secondary-units"),
   searchInput: document.getElementById("search-lifter"),
   resultsBody: document.getElementById("results-body"),
   resultsContainer: document.getElementById("results-container"),
   compactContainer: document.getElementById("compact-container"),
   compactGrid: document.getElementById("compact-grid"),
+  leaderboardContainer: document.getElementById("leaderboard-container"),
+  filterMale: document.getElementById("filter-male"),
+  filterFemale: document.getElementById("filter-female"),
+  filterDivision: document.getElementById("filter-division"),
+  filterEquipment: document.getElementById("filter-equipment"),
+  filterWeightClass: document.getElementById("filter-weight-class"),
+  filterPlatform: document.getElementById("filter-platform"),
+  filterSession: document.getElementById("filter-session"),
+  filterFlight: document.getElementById("filter-flight"),
   statusIndicator: document.getElementById("status-indicator"),
   statusText: document.getElementById("status-text"),
   meetTitle: document.getElementById("meet-title"),
   federationName: document.getElementById("federation-name"),
   lastUpdate: document.getElementById("last-update"),
+  replayControls: document.getElementById("replay-controls"),
+  replayToggle: document.getElementById("replay-toggle"),
+  replaySpeed: document.getElementById("replay-speed"),
+  replaySeek: document.getElementById("replay-seek"),
+  replayTime: document.getElementById("replay-time"),
 };
 
 /**
- * Initialise WebSocket connection
+ * Point the export buttons at the meet's results downloads
  */
-function connectWebSocket() {
-  const meetId = elements.meetIdInput.value.trim();
-  const federation = elements.federationSelect.value;
-
-  if (!meetId) {
-    alert("Please enter a Meet ID");
-    return;
-  }
+function updateExportLinks(meetId) {
+  const query = `?meet=${encodeURIComponent(meetId)}`;
+  elements.exportCsv.href = `/export/results.csv${query}`;
+  elements.exportJson.href = `/export/results.json${query}`;
+  elements.exportOpenPowerlifting.href = `/export/openpowerlifting.csv${query}`;
+}
 
+/**
+ * Initialise WebSocket connection. The server then says whether this is an
+ * admin or a viewer, and which meet has been set up.
+ */
+function connectWebSocket() {
   updateStatus("connecting", "Connecting...");
 
   const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
   const wsUrl = `${protocol}//${window.location.host}/ws`;
 
-  state.ws = new WebSocket(wsUrl);
+  const ws = new WebSocket(wsUrl);
+  state.ws = ws;
 
-  state.ws.onopen = () => {
+  ws.onopen = () => {
     console.log("WebSocket connected");
     updateStatus("connected", "Connected");
 
-    // Send configuration
-    state.ws.send(
-      JSON.stringify({
-        type: "configure",
-        meetId: meetId,
-        federation: federation,
-      })
-    );
-
-    // Show main display
-    elements.configPanel.classList.add("hidden");
-    elements.mainDisplay.classList.remove("hidden");
+    // Log in with the token saved by the admin page, if there is one
+    const token = window.localStorage.getItem(ADMIN_TOKEN_KEY);
+    state.authPending = Boolean(token);
+    if (token) {
+      ws.send(JSON.stringify({ type: "auth", token }));
+    }
   };
 
-  state.ws.onmessage = (event) => {
+  ws.onmessage = (event) => {
     const message = JSON.parse(event.data);
     handleWebSocketMessage(message);
   };
 
-  state.ws.onerror = (error) => {
+  ws.onerror = (error) => {
     console.error("WebSocket error:", error);
     updateStatus("disconnected", "Connection Error");
   };
 
-  state.ws.onclose = () => {
+  ws.onclose = () => {
     console.log("WebSocket disconnected");
-    updateStatus("disconnected", "Disconnected");
+
+    // Connections replaced by a newer one (after Disconnect) are done with
+    if (state.ws !== ws) return;
+
+    // Keep trying, so unattended screens come back by themselves after a
+    // server restart or network drop
+    updateStatus("disconnected", "Reconnecting...");
+    setTimeout(() => {
+      if (state.ws === ws) {
+        connectWebSocket();
+      }
+    }, RECONNECT_DELAY);
   };
 }
 
+/**
+ * Connect to the meet entered on the config panel
+ */
+function connectToMeet() {
+  const meetId = elements.meetIdInput.value.trim();
+
+  if (!meetId) {
+    alert("Please enter a Meet ID");
+    return;
+  }
+
+  showMeet(meetId);
+}
+
+/**
+ * Switch to the display and subscribe to a meet
+ */
+function showMeet(meetId) {
+  state.meetId = meetId;
+  updateExportLinks(meetId);
+  elements.configPanel.classList.add("hidden");
+  elements.mainDisplay.classList.remove("hidden");
+  subscribe();
+
+  // Viewers' URLs stay as they were, so they keep following the admin
+  if (state.role === "admin") {
+    saveUrlSettings();
+  }
+}
+
+/**
+ * Subscribe to the meet being shown: just the chosen platform, or the whole
+ * meet when no platform is chosen. The server answers with a snapshot.
+ */
+function subscribe() {
+  state.seq = null;
+  state.subscribedPlatform = state.filters.platform;
+  sendMessage({
+    type: "configure",
+    meetId: state.meetId,
+    federation: elements.federationSelect.value,
+    platform: state.subscribedPlatform || undefined,
+  });
+}
+
+/**
+ * Once the server has said who this is, show the config panel to admins
+ * only and follow a meet: the one already shown, the URL's, or for viewers
+ * the one an admin has set up
+ */
+function applyRole() {
+  const isAdmin = state.role === "admin";
+  elements.disconnectBtn.classList.toggle("hidden", !isAdmin);
+  updateReplayControls();
+
+  if (!isAdmin) {
+    applyDisplaySettings(getViewerDisplaySettings());
+  }
+
+  const meetId =
+    state.meetId ||
+    state.urlMeetId ||
+    (isAdmin ? null : state.serverConfig?.meetId);
+
+  if (meetId) {
+    showMeet(meetId);
+  } else if (isAdmin) {
+    elements.mainDisplay.classList.add("hidden");
+    elements.configPanel.classList.remove("hidden");
+  } else {
+    elements.configPanel.classList.add("hidden");
+    elements.mainDisplay.classList.remove("hidden");
+    updateStatus("connecting", "Waiting for a meet to be set up");
+  }
+}
+
+/**
+ * Display settings for a viewer's screen: the admin's, overridden by any in
+ * the page URL
+ */
+function getViewerDisplaySettings() {
+  return new URLSearchParams({
+    ...state.serverConfig?.display,
+    ...Object.fromEntries(new URLSearchParams(window.location.search)),
+  });
+}
+
+/**
+ * Follow an admin's change to the meet or display settings. Viewers pick up
+ * the new meet unless their URL names one.
+ */
+function applyServerConfig(config) {
+  state.serverConfig = config;
+  if (state.role !== "viewer") return;
+
+  applyDisplaySettings(getViewerDisplaySettings());
+  updateFilterOptions();
+
+  if (!state.urlMeetId && config.meetId && config.meetId !== state.meetId) {
+    showMeet(config.meetId);
+  } else if (state.meetId) {
+    if (state.filters.platform !== state.subscribedPlatform) {
+      subscribe();
+    }
+    renderResults();
+  }
+}
+
 /**
  * Handle incoming WebSocket messages
  */
 function handleWebSocketMessage(message) {
-  if (message.type === "initial" || message.type === "update") {
-    const data = message.data;
-    state.lifters = data.lifters || {};
-    state.platforms = data.platforms || {};
-    state.attempts = data.attempts || {};
-    state.referees = data.referees || {};
-    state.meetInfo = data.meetInfo || {};
-    state.federation = data.federation;
-
-    // Update header with meet information
-    elements.meetTitle.innerHTML = state.meetInfo.name || "Live Results";
-    elements.federationName.innerHTML = `Federation: ${state.federation}`;
-
-    if (data.lastUpdate) {
-      const updateTime = new Date(data.lastUpdate);
-      elements.lastUpdate.innerHTML = `Last updated: ${updateTime.toLocaleString()}`;
+  if (message.type === "initial") {
+    state.role = message.data.role;
+    state.serverConfig = message.data.config;
+    if (!state.authPending) {
+      applyRole();
+    }
+  } else if (message.type === "auth") {
+    state.role = message.role;
+    state.authPending = false;
+    applyRole();
+  } else if (message.type === "config") {
+    applyServerConfig(message.config);
+  } else if (message.type === "error") {
+    console.warn("Server error:", message.message);
+    if (state.authPending) {
+      // The saved admin token no longer works, so carry on as a viewer
+      window.localStorage.removeItem(ADMIN_TOKEN_KEY);
+      state.authPending = false;
+      applyRole();
+    } else {
+      updateStatus("disconnected", message.message);
     }
+  } else if (message.type === "snapshot") {
+    state.seq = message.seq;
+    applySnapshot(message.data);
+    refreshDisplay(message.data);
+  } else if (message.type === "delta") {
+    // Waiting on a snapshot after missing a delta
+    if (state.seq === null) return;
 
-    // Render results with the new data
-    renderResults();
+    if (message.seq !== state.seq + 1) {
+      console.warn(
+        `Missed updates (expected ${state.seq + 1}, got ${
+          message.seq
+        }), resyncing`
+      );
+      state.seq = null;
+      sendMessage({ type: "resync" });
+      return;
+    }
+
+    state.seq = message.seq;
+    applyDelta(message.data);
+    refreshDisplay(message.data);
+  } else if (message.type === "events") {
+    // The snapshot a resync brings has any events missed
+    if (state.seq === null) return;
+
+    applyEvents(message.events);
+    if (state.layout === "ticker") {
+      renderResults();
+    }
+  }
+}
+
+/**
+ * Replace the meet data with a full snapshot from the server
+ */
+function applySnapshot(data) {
+  state.lifters = data.lifters || {};
+  state.platforms = data.platforms || {};
+  state.attempts = data.attempts || {};
+  state.referees = data.referees || {};
+  state.meetInfo = data.meetInfo || {};
+  state.federation = data.federation;
+  state.pointsFormula = data.pointsFormula || "ipfgl";
+  state.teamStandings = data.teamStandings || null;
+  state.replay = data.replay || null;
+  state.events = data.events || [];
+  state.tickerLastEventId = null;
+}
+
+/**
+ * Apply the entities and values that changed since the last message
+ */
+function applyDelta(data) {
+  DELTA_ENTITIES.forEach((field) => {
+    Object.assign(state[field], data[field]);
+    (data.removed?.[field] || []).forEach((id) => {
+      delete state[field][id];
+    });
+  });
+
+  if ("meetInfo" in data) state.meetInfo = data.meetInfo || {};
+  if ("federation" in data) state.federation = data.federation;
+  if ("pointsFormula" in data) {
+    state.pointsFormula = data.pointsFormula || "ipfgl";
   }
+  if ("teamStandings" in data) state.teamStandings = data.teamStandings;
+  if ("replay" in data) state.replay = data.replay;
+}
+
+/**
+ * Add new events from the server to the ones already kept
+ */
+function applyEvents(events) {
+  const lastId =
+    state.events.length > 0 ? state.events[state.events.length - 1].id : 0;
+  state.events.push(...events.filter((event) => event.id > lastId));
+  state.events.splice(0, state.events.length - EVENT_HISTORY_SIZE);
+}
+
+/**
+ * Update the header, controls and view after new data arrives
+ */
+function refreshDisplay(data) {
+  if (data.serverTime) {
+    state.clockOffset = data.serverTime - Date.now();
+  }
+
+  // Update header with meet information
+  elements.meetTitle.innerHTML = state.meetInfo.name || "Live Results";
+  elements.federationName.innerHTML = `Federation: ${state.federation}`;
+
+  if (data.lastUpdate) {
+    const updateTime = new Date(data.lastUpdate);
+    elements.lastUpdate.innerHTML = `Last updated: ${updateTime.toLocaleString()}`;
+  }
+
+  updateReplayControls();
+  updateFilterOptions();
+
+  // Render results with the new data
+  renderResults();
+}
+
+/**
+ * Show playback controls when watching a recorded meet
+ */
+function updateReplayControls() {
+  // Only admins can control playback
+  const replay = state.role === "admin" ? state.replay : null;
+  elements.replayControls.classList.toggle("hidden", !replay);
+  if (!replay) return;
+
+  elements.replayToggle.innerHTML = replay.playing ? "Pause" : "Play";
+  elements.replaySpeed.value = String(replay.speed);
+  elements.replaySeek.max = String(replay.duration);
+
+  // Don't move the slider out from under someone dragging it
+  if (document.activeElement !== elements.replaySeek) {
+    elements.replaySeek.value = String(replay.position);
+  }
+
+  elements.replayTime.innerHTML = replay.startTime
+    ? new Date(replay.startTime + replay.position).toLocaleTimeString()
+    : "--:--:--";
+}
+
+/**
+ * Send a message to the server, if connected
+ */
+function sendMessage(message) {
+  if (!state.ws || state.ws.readyState !== WebSocket.OPEN) return;
+  state.ws.send(JSON.stringify(message));
+}
+
+/**
+ * Send a playback control message for the recorded meet being watched
+ */
+function sendReplayControl(control) {
+  sendMessage({ type: "replay", ...control });
 }
 
 /**
@@ -128,26 +476,188 @@ function updateStatus(status, text) {
   elements.statusText.innerHTML = text;
 }
 
+/**
+ * Whether a division entry (or a lifter without any) passes the division,
+ * equipment and weight class filters
+ */
+function matchesEntryFilters(entry) {
+  const { division, equipment, weightClass } = state.filters;
+  if (division && entry.divisionId !== division) return false;
+  if (equipment && entry.equipment !== equipment) return false;
+  if (weightClass && entry.weightClass !== weightClass) return false;
+  return true;
+}
+
 /**
  * Filter lifters based on current filters
  */
 function getFilteredLifters() {
+  const filters = state.filters;
+
   return Object.values(state.lifters).filter((lifter) => {
-    if (state.filters.search) {
-      const searchTerm = state.filters.search.toLowerCase();
+    if (filters.search) {
+      const searchTerm = filters.search.toLowerCase();
       if (!lifter.name.toLowerCase().includes(searchTerm)) return false;
     }
 
-    return true;
+    if (lifter.sex === "MALE" && !filters.male) return false;
+    if (lifter.sex === "FEMALE" && !filters.female) return false;
+    if (filters.platform && lifter.platformId !== filters.platform) {
+      return false;
+    }
+    if (filters.session && String(lifter.session) !== filters.session) {
+      return false;
+    }
+    if (filters.flight && lifter.flight !== filters.flight) return false;
+
+    return (lifter.divisions || [lifter]).some(matchesEntryFilters);
+  });
+}
+
+/**
+ * Turn a code like "RAW_WITH_WRAPS" into "Raw With Wraps"
+ */
+function formatCode(code) {
+  return String(code)
+    .toLowerCase()
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+/**
+ * Fill a filter select with `[value, label]` options, keeping the current
+ * choice even if nobody matches it any more
+ */
+function setFilterOptions(select, options, selected) {
+  const seen = new Map();
+  options.forEach(([value, label]) => {
+    if (value !== "" && value !== null && value !== undefined) {
+      seen.set(String(value), label || String(value));
+    }
   });
+  if (selected && !seen.has(selected)) {
+    seen.set(selected, selected);
+  }
+
+  const sorted = Array.from(seen).sort((a, b) =>
+    a[1].localeCompare(b[1], undefined, { numeric: true })
+  );
+  const html = `<option value="">All</option>${sorted
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join("")}`;
+
+  // Only rebuild when the options change, so an open select isn't reset
+  if (select.dataset.options !== html) {
+    select.innerHTML = html;
+    select.dataset.options = html;
+  }
+  select.value = selected;
+}
+
+/**
+ * The value of the `[value, label]` option a filter names by value or by
+ * label, or the filter as it is if none match
+ */
+function resolveFilterValue(filter, options) {
+  if (!filter) return filter;
+  const match = options.find(
+    ([value, label]) =>
+      String(value) === filter ||
+      String(label).toLowerCase() === filter.toLowerCase()
+  );
+  return match ? String(match[0]) : filter;
+}
+
+/**
+ * Offer the divisions, equipment levels, weight classes, platforms,
+ * sessions and flights in the meet as filters
+ */
+function updateFilterOptions() {
+  const lifters = Object.values(state.lifters);
+  const entries = lifters.flatMap((lifter) => lifter.divisions || [lifter]);
+  const filters = state.filters;
+
+  const divisions = entries.map((entry) => [entry.divisionId, entry.division]);
+  const platforms = Object.values(state.platforms).map((platform) => [
+    platform.id,
+    platform.name,
+  ]);
+
+  // Display URLs can name a division or platform instead of giving its ID
+  filters.division = resolveFilterValue(filters.division, divisions);
+  filters.platform = resolveFilterValue(filters.platform, platforms);
+  if (filters.platform && state.platforms[filters.platform]) {
+    state.currentPlatformId = filters.platform;
+  }
+
+  setFilterOptions(elements.filterDivision, divisions, filters.division);
+  setFilterOptions(
+    elements.filterEquipment,
+    entries.map((entry) => [entry.equipment, formatCode(entry.equipment)]),
+    filters.equipment
+  );
+  setFilterOptions(
+    elements.filterWeightClass,
+    entries.map((entry) => [entry.weightClass, entry.weightClass]),
+    filters.weightClass
+  );
+  setFilterOptions(elements.filterPlatform, platforms, filters.platform);
+  setFilterOptions(
+    elements.filterSession,
+    lifters.map((lifter) => [lifter.session, `Session ${lifter.session}`]),
+    filters.session
+  );
+  setFilterOptions(
+    elements.filterFlight,
+    lifters.map((lifter) => [lifter.flight, `Flight ${lifter.flight}`]),
+    filters.flight
+  );
+}
+/**
+ * Units this screen shows weights in, "KG" or "LBS"
+ */
+function getDisplayUnits() {
+  return state.units === "meet" ? getMeetUnits(state.meetInfo) : state.units;
+}
+
+/**
+ * Number for a weight in the meet's units, shown in this screen's units
+ */
+function formatWeightNumber(weight) {
+  const units = getDisplayUnits();
+  return formatWeightValue(
+    convertWeight(weight, getMeetUnits(state.meetInfo), units),
+    units
+  );
 }
+
+/**
+ * Format a weight in the meet's units with its unit label, e.g. "120.0 kg".
+ * With `secondary`, the weight in the other unit follows when this screen
+ * shows both.
+ */
+function formatWeight(weight, secondary = false) {
+  const meetUnits = getMeetUnits(state.meetInfo);
+  const units = getDisplayUnits();
+  const text = `${formatWeightNumber(weight)} ${UNIT_LABELS[units]}`;
+  if (!secondary || !state.showSecondaryUnits) return text;
+
+  const otherUnits = units === "KG" ? "LBS" : "KG";
+  const other = convertWeight(weight, meetUnits, otherUnits);
+  return `${text} <span class="secondary-weight">(${formatWeightValue(
+    other,
+    otherUnits
+  )} ${UNIT_LABELS[otherUnits]})</span>`;
+}
+
 /**
  * Format attempt weight for display
  */
 function formatAttempt(weight) {
   if (weight === 0) return "-";
-  if (weight > 0) return weight.toFixed(1);
-  return `(${Math.abs(weight).toFixed(1)})`;
+  if (weight > 0) return formatWeightNumber(weight);
+  return `(${formatWeightNumber(Math.abs(weight))})`;
 }
 
 /**
@@ -159,6 +669,98 @@ function getAttemptClass(weight) {
   return "attempt-bad";
 }
 
+/**
+ * Find a lifter's attempt doc for a lift and attempt number
+ */
+function findAttempt(lifterId, lift, attemptNumber) {
+  return Object.values(state.attempts).find(
+    (attempt) =>
+      attempt.lifterId === lifterId &&
+      parseInt(attempt.attemptNumber) === attemptNumber &&
+      (attempt.liftName.toLowerCase() === "dead"
+        ? "deadlift"
+        : attempt.liftName.toLowerCase()) === lift
+  );
+}
+
+/**
+ * Marker for a good attempt that set a record
+ */
+function getRecordMarker(lifter, lift, attemptNumber) {
+  if (!(lifter[lift][attemptNumber] > 0) || !lifter.records?.[lift]?.set) {
+    return "";
+  }
+
+  const attempt = findAttempt(lifter.id, lift, attemptNumber);
+  return attempt?.records?.includes(lift)
+    ? `<sup class="record-marker" title="Record">R</sup>`
+    : "";
+}
+
+/**
+ * Badges for records a lifter has set or is attempting
+ */
+function getRecordBadges(lifter) {
+  const records = Object.values(lifter.records || {});
+  let badges = "";
+
+  if (records.some((record) => record.set)) {
+    badges += `<span class="record-badge record-set">Record</span>`;
+  }
+  if (records.some((record) => record.attempt !== null)) {
+    badges += `<span class="record-badge record-attempt">Record Attempt</span>`;
+  }
+
+  return badges;
+}
+
+/**
+ * A place as an ordinal, e.g. "1st" or "22nd"
+ */
+function formatPlace(place) {
+  const suffixes = { one: "st", two: "nd", few: "rd", other: "th" };
+  const rule = new Intl.PluralRules("en", { type: "ordinal" }).select(place);
+  return `${place}${suffixes[rule]}`;
+}
+
+/**
+ * What reaching a place would mean for a lifter, e.g. "to win" or "to hold
+ * 2nd"
+ */
+function describeNeedPlace(lifter, place) {
+  if (place === 1) return "to win";
+  if (place === lifter.place) return `to hold ${formatPlace(place)}`;
+  if (place === 3) return "for the podium";
+  return `for ${formatPlace(place)}`;
+}
+
+/**
+ * What a lifter needs on their next lift for the places in `needs`, e.g.
+ * "Deadlift: 242.5 kg to win, 237.5 kg for 2nd"
+ */
+function formatNeeds(lifter, needs) {
+  const lift = lifter.prediction.lift;
+  return `${lift.charAt(0).toUpperCase() + lift.slice(1)}: ${needs
+    .map(
+      (need) =>
+        `${formatWeight(need.weight)} ${describeNeedPlace(lifter, need.place)}`
+    )
+    .join(", ")}`;
+}
+
+/**
+ * A lifter's projected total and place if their declared attempts are good
+ */
+function formatProjection(prediction) {
+  return prediction.projectedTotal > 0
+    ? `${formatWeight(prediction.projectedTotal)}${
+        prediction.projectedPlace
+          ? ` (${formatPlace(prediction.projectedPlace)})`
+          : ""
+      }`
+    : "-";
+}
+
 /**
  * Get CSS class for place
  */
@@ -169,72 +771,169 @@ function getPlaceClass(place) {
   return "";
 }
 
+/**
+ * A row for each division a lifter is entered in (that passes the filters),
+ * with that division's weight class and place
+ */
+function getDivisionRows(lifters) {
+  return lifters.flatMap((lifter) =>
+    (lifter.divisions || [lifter])
+      .filter(matchesEntryFilters)
+      .map((entry) => ({ ...lifter, ...entry }))
+  );
+}
+
+/**
+ * Rows for the table and compact views: one per division entry when ranking
+ * by place, or one per lifter when ranking by points
+ */
+function getResultRows(lifters) {
+  return state.rankBy === "points" ? lifters : getDivisionRows(lifters);
+}
+
+/**
+ * Label showing which division a place is in, for lifters in more than one
+ */
+function formatPlaceDivision(row) {
+  return row.divisions?.length > 1 && state.rankBy !== "points"
+    ? `<span class="place-division">${row.division || "-"}</span>`
+    : "";
+}
+
+/**
+ * Weight class for a row, flagged when the lifter's bodyweight doesn't fit
+ * the class they were assigned
+ */
+function formatWeightClass(row) {
+  if (!row.weightClass) return "-";
+  if (!row.weightClassMismatch) return row.weightClass;
+
+  return `<span class="weight-class-mismatch" title="Bodyweight fits the ${row.weightClassMismatch} class">${row.weightClass}</span>`;
+}
+
+/**
+ * A weight class with the meet's units, e.g. "93 kg", or "" without one
+ */
+function formatClassLabel(weightClass) {
+  return weightClass
+    ? `${weightClass} ${UNIT_LABELS[getMeetUnits(state.meetInfo)]}`
+    : "";
+}
+
+/**
+ * Sort lifters for the table and compact views, by placing or by best lifter
+ * points. Lifters without a place or points go last.
+ */
+function sortLifters(lifters) {
+  if (state.rankBy === "points") {
+    return [...lifters].sort(
+      (a, b) =>
+        (b.points?.[state.pointsFormula] || 0) -
+        (a.points?.[state.pointsFormula] || 0)
+    );
+  }
+
+  return [...lifters].sort(comparePlaces);
+}
+
+function comparePlaces(a, b) {
+  if (a.place === null) return 1;
+  if (b.place === null) return -1;
+  return a.place - b.place;
+}
+
+/**
+ * Format a lifter's points for the best lifter formula
+ */
+function formatPoints(lifter) {
+  const points = lifter.points?.[state.pointsFormula] || 0;
+  return points > 0 ? points.toFixed(2) : "-";
+}
+
+/**
+ * Format a lifter's best lifter ranking as "overall / division"
+ */
+function formatBestLifterRank(lifter) {
+  const rank = lifter.pointsRank || {};
+  if (!rank.overall) return "-";
+  return `#${rank.overall} / #${rank.division}`;
+}
+
 /**
  * Render results in table view
  */
 function renderTableView(lifters) {
   elements.resultsBody.innerHTML = "";
+  elements.pointsHeader.innerHTML =
+    POINTS_LABELS[state.pointsFormula] || "Points";
+  elements.totalHeader.innerHTML = `Total (${UNIT_LABELS[getDisplayUnits()]})`;
 
   if (lifters.length === 0) {
     elements.resultsBody.innerHTML = `<tr><td colspan="22" style="text-align: center; padding: 40px;">No lifters found</td></tr>`;
     return;
   }
 
-  // Sort lifters by place for table view consistency
-  const sortedLifters = [...lifters].sort((a, b) => {
-    if (a.place === null) return 1;
-    if (b.place === null) return -1;
-    return a.place - b.place;
-  });
+  // Sort lifters by place (or points) for table view consistency
+  const sortedLifters = sortLifters(getResultRows(lifters));
 
   sortedLifters.forEach((lifter) => {
     const row = document.createElement("tr");
     row.innerHTML = `
-      <td class="${getPlaceClass(lifter.place)}">${lifter.place || "-"}</td>
-      <td style="font-weight: 600; text-align: left;">${lifter.name}</td>
+      <td class="${getPlaceClass(lifter.place)}">${
+      lifter.place || "-"
+    }${formatPlaceDivision(lifter)}</td>
+      <td style="font-weight: 600; text-align: left;">${
+        lifter.name
+      }${getRecordBadges(lifter)}</td>
       <td>${lifter.sex === "MALE" ? "M" : "F"}</td>
       <td>${lifter.division || "-"}</td>
-      <td>${lifter.weightClass || "-"}</td>
-      <td>${lifter.bodyweight > 0 ? lifter.bodyweight.toFixed(1) : "-"}</td>
+      <td>${formatWeightClass(lifter)}</td>
+      <td>${
+        lifter.bodyweight > 0 ? formatWeightNumber(lifter.bodyweight) : "-"
+      }</td>
       <td class="${getAttemptClass(lifter.squat[1])}">${formatAttempt(
       lifter.squat[1]
-    )}</td>
+    )}${getRecordMarker(lifter, "squat", 1)}</td>
       <td class="${getAttemptClass(lifter.squat[2])}">${formatAttempt(
       lifter.squat[2]
-    )}</td>
+    )}${getRecordMarker(lifter, "squat", 2)}</td>
       <td class="${getAttemptClass(lifter.squat[3])}">${formatAttempt(
       lifter.squat[3]
-    )}</td>
+    )}${getRecordMarker(lifter, "squat", 3)}</td>
       <td class="best-lift">${
-        lifter.squat.best > 0 ? lifter.squat.best.toFixed(1) : "-"
+        lifter.squat.best > 0 ? formatWeightNumber(lifter.squat.best) : "-"
       }</td>
       <td class="${getAttemptClass(lifter.bench[1])}">${formatAttempt(
       lifter.bench[1]
-    )}</td>
+    )}${getRecordMarker(lifter, "bench", 1)}</td>
       <td class="${getAttemptClass(lifter.bench[2])}">${formatAttempt(
       lifter.bench[2]
-    )}</td>
+    )}${getRecordMarker(lifter, "bench", 2)}</td>
       <td class="${getAttemptClass(lifter.bench[3])}">${formatAttempt(
       lifter.bench[3]
-    )}</td>
+    )}${getRecordMarker(lifter, "bench", 3)}</td>
       <td class="best-lift">${
-        lifter.bench.best > 0 ? lifter.bench.best.toFixed(1) : "-"
+        lifter.bench.best > 0 ? formatWeightNumber(lifter.bench.best) : "-"
       }</td>
       <td class="${getAttemptClass(lifter.deadlift[1])}">${formatAttempt(
       lifter.deadlift[1]
-    )}</td>
+    )}${getRecordMarker(lifter, "deadlift", 1)}</td>
       <td class="${getAttemptClass(lifter.deadlift[2])}">${formatAttempt(
       lifter.deadlift[2]
-    )}</td>
+    )}${getRecordMarker(lifter, "deadlift", 2)}</td>
       <td class="${getAttemptClass(lifter.deadlift[3])}">${formatAttempt(
       lifter.deadlift[3]
-    )}</td>
+    )}${getRecordMarker(lifter, "deadlift", 3)}</td>
       <td class="best-lift">${
-        lifter.deadlift.best > 0 ? lifter.deadlift.best.toFixed(1) : "-"
+        lifter.deadlift.best > 0
+          ? formatWeightNumber(lifter.deadlift.best)
+          : "-"
       }</td>
       <td style="font-weight: 700; font-size: 16px;">${
-        lifter.total > 0 ? lifter.total.toFixed(1) : "-"
+        lifter.total > 0 ? formatWeightNumber(lifter.total) : "-"
       }</td>
+      <td>${formatPoints(lifter)}</td>
+      <td>${formatBestLifterRank(lifter)}</td>
     `;
     elements.resultsBody.appendChild(row);
   });
@@ -251,29 +950,31 @@ function renderCompactView(lifters) {
     return;
   }
 
-  const sortedLifters = [...lifters].sort((a, b) => {
-    if (a.place === null) return 1;
-    if (b.place === null) return -1;
-    return a.place - b.place;
-  });
+  const sortedLifters = sortLifters(getResultRows(lifters));
 
   sortedLifters.forEach((lifter) => {
     const card = document.createElement("div");
     card.className = "lifter-card";
     card.innerHTML = `
       <div class="card-header">
-        <div class="card-name">${lifter.name}</div>
-        ${lifter.place ? `<div class="card-place">#${lifter.place}</div>` : ""}
+        <div class="card-name">${lifter.name}${getRecordBadges(lifter)}</div>
+        ${
+          lifter.place
+            ? `<div class="card-place">#${lifter.place}${formatPlaceDivision(
+                lifter
+              )}</div>`
+            : ""
+        }
       </div>
       <div class="card-info">
         <span><strong>SEX:</strong> ${
           lifter.sex === "MALE" ? "Male" : "Female"
         }</span>
         <span><strong>DIV:</strong> ${lifter.division || "-"}</span>
-        <span><strong>CLASS:</strong> ${lifter.weightClass || "-"}</span>
+        <span><strong>CLASS:</strong> ${formatWeightClass(lifter)}</span>
         <span><strong>BW:</strong> ${
-          lifter.bodyweight > 0 ? lifter.bodyweight.toFixed(1) : "-"
-        } kg</span>
+          lifter.bodyweight > 0 ? formatWeight(lifter.bodyweight, true) : "-"
+        }</span>
       </div>
       <div class="card-lifts">
         <div class="lift-row">
@@ -281,16 +982,28 @@ function renderCompactView(lifters) {
           <div class="lift-attempts">
             <span class="lift-attempt ${getAttemptClass(
               lifter.squat[1]
-            )}">${formatAttempt(lifter.squat[1])}</span>
+            )}">${formatAttempt(lifter.squat[1])}${getRecordMarker(
+      lifter,
+      "squat",
+      1
+    )}</span>
             <span class="lift-attempt ${getAttemptClass(
               lifter.squat[2]
-            )}">${formatAttempt(lifter.squat[2])}</span>
+            )}">${formatAttempt(lifter.squat[2])}${getRecordMarker(
+      lifter,
+      "squat",
+      2
+    )}</span>
             <span class="lift-attempt ${getAttemptClass(
               lifter.squat[3]
-            )}">${formatAttempt(lifter.squat[3])}</span>
+            )}">${formatAttempt(lifter.squat[3])}${getRecordMarker(
+      lifter,
+      "squat",
+      3
+    )}</span>
           </div>
           <span class="lift-best">${
-            lifter.squat.best > 0 ? lifter.squat.best.toFixed(1) : "-"
+            lifter.squat.best > 0 ? formatWeightNumber(lifter.squat.best) : "-"
           }</span>
         </div>
         <div class="lift-row">
@@ -298,16 +1011,28 @@ function renderCompactView(lifters) {
           <div class="lift-attempts">
             <span class="lift-attempt ${getAttemptClass(
               lifter.bench[1]
-            )}">${formatAttempt(lifter.bench[1])}</span>
+            )}">${formatAttempt(lifter.bench[1])}${getRecordMarker(
+      lifter,
+      "bench",
+      1
+    )}</span>
             <span class="lift-attempt ${getAttemptClass(
               lifter.bench[2]
-            )}">${formatAttempt(lifter.bench[2])}</span>
+            )}">${formatAttempt(lifter.bench[2])}${getRecordMarker(
+      lifter,
+      "bench",
+      2
+    )}</span>
             <span class="lift-attempt ${getAttemptClass(
               lifter.bench[3]
-            )}">${formatAttempt(lifter.bench[3])}</span>
+            )}">${formatAttempt(lifter.bench[3])}${getRecordMarker(
+      lifter,
+      "bench",
+      3
+    )}</span>
           </div>
           <span class="lift-best">${
-            lifter.bench.best > 0 ? lifter.bench.best.toFixed(1) : "-"
+            lifter.bench.best > 0 ? formatWeightNumber(lifter.bench.best) : "-"
           }</span>
         </div>
         <div class="lift-row">
@@ -315,24 +1040,46 @@ function renderCompactView(lifters) {
           <div class="lift-attempts">
             <span class="lift-attempt ${getAttemptClass(
               lifter.deadlift[1]
-            )}">${formatAttempt(lifter.deadlift[1])}</span>
+            )}">${formatAttempt(lifter.deadlift[1])}${getRecordMarker(
+      lifter,
+      "deadlift",
+      1
+    )}</span>
             <span class="lift-attempt ${getAttemptClass(
               lifter.deadlift[2]
-            )}">${formatAttempt(lifter.deadlift[2])}</span>
+            )}">${formatAttempt(lifter.deadlift[2])}${getRecordMarker(
+      lifter,
+      "deadlift",
+      2
+    )}</span>
             <span class="lift-attempt ${getAttemptClass(
               lifter.deadlift[3]
-            )}">${formatAttempt(lifter.deadlift[3])}</span>
+            )}">${formatAttempt(lifter.deadlift[3])}${getRecordMarker(
+      lifter,
+      "deadlift",
+      3
+    )}</span>
           </div>
           <span class="lift-best">${
-            lifter.deadlift.best > 0 ? lifter.deadlift.best.toFixed(1) : "-"
+            lifter.deadlift.best > 0
+              ? formatWeightNumber(lifter.deadlift.best)
+              : "-"
           }</span>
         </div>
       </div>
       <div class="card-total">
         <div class="total-label">TOTAL</div>
         <div class="total-value">${
-          lifter.total > 0 ? lifter.total.toFixed(1) : "-"
-        } kg</div>
+          lifter.total > 0 ? formatWeight(lifter.total, true) : "-"
+        }</div>
+      </div>
+      <div class="card-points">
+        <span><strong>${
+          POINTS_LABELS[state.pointsFormula] || "Points"
+        }:</strong> ${formatPoints(lifter)}</span>
+        <span><strong>Best Lifter:</strong> ${formatBestLifterRank(
+          lifter
+        )}</span>
       </div>
     `;
     elements.compactGrid.appendChild(card);
@@ -340,9 +1087,214 @@ function renderCompactView(lifters) {
 }
 
 /**
- * Render live timer + lights display
+ * Order weight classes lightest first, with "+" classes after the class
+ * they're named for
  */
-function renderTimerLightsView() {
+function compareWeightClasses(a, b) {
+  const weightA = parseFloat(a) || 0;
+  const weightB = parseFloat(b) || 0;
+  if (weightA !== weightB) return weightA - weightB;
+  return String(a).includes("+") - String(b).includes("+");
+}
+
+/**
+ * Render one ranked table per division, sex and weight class, in the order
+ * results are announced
+ */
+function renderLeaderboardView(lifters) {
+  const groups = new Map();
+
+  getDivisionRows(lifters).forEach((row) => {
+    const key = `${row.divisionId}|${row.sex}|${row.weightClass}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        division: row.division,
+        sex: row.sex,
+        weightClass: row.weightClass,
+        rows: [],
+      });
+    }
+    groups.get(key).rows.push(row);
+  });
+
+  if (groups.size === 0) {
+    elements.leaderboardContainer.innerHTML = `<div style="text-align: center; padding: 40px; color: #7f8c8d;">No lifters found</div>`;
+    return;
+  }
+
+  const sortedGroups = Array.from(groups.values()).sort(
+    (a, b) =>
+      String(a.division).localeCompare(String(b.division)) ||
+      String(a.sex).localeCompare(String(b.sex)) || // FEMALE before MALE
+      compareWeightClasses(a.weightClass, b.weightClass)
+  );
+  const classUnits = UNIT_LABELS[getMeetUnits(state.meetInfo)];
+
+  elements.leaderboardContainer.innerHTML = sortedGroups
+    .map(
+      (group) => `
+      <section class="leaderboard-group">
+        <h2>${group.division || "No Division"} - ${
+        group.sex === "MALE" ? "Men" : "Women"
+      } - ${group.weightClass} ${classUnits}</h2>
+        <table class="results-table">
+          <thead>
+            <tr>
+              <th>Place</th>
+              <th>Name</th>
+              <th>Bodyweight</th>
+              <th>Squat</th>
+              <th>Bench</th>
+              <th>Deadlift</th>
+              <th>Total (${UNIT_LABELS[getDisplayUnits()]})</th>
+              <th>${POINTS_LABELS[state.pointsFormula] || "Points"}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${group.rows
+              .sort(comparePlaces)
+              .map(
+                (row) => `
+            <tr>
+              <td class="${getPlaceClass(row.place)}">${row.place || "-"}</td>
+              <td style="font-weight: 600; text-align: left;">${
+                row.name
+              }${getRecordBadges(row)}</td>
+              <td>${
+                row.bodyweight > 0 ? formatWeightNumber(row.bodyweight) : "-"
+              }</td>
+              ${["squat", "bench", "deadlift"]
+                .map(
+                  (lift) =>
+                    `<td class="best-lift">${
+                      row[lift].best > 0
+                        ? formatWeightNumber(row[lift].best)
+                        : "-"
+                    }</td>`
+                )
+                .join("")}
+              <td style="font-weight: 700;">${
+                row.total > 0 ? formatWeightNumber(row.total) : "-"
+              }</td>
+              <td>${formatPoints(row)}</td>
+            </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </section>`
+    )
+    .join("");
+}
+
+/**
+ * Milliseconds left on a platform's clock, counting down locally from the
+ * server's last reading while the clock is running
+ */
+function getClockRemaining(platform) {
+  const clock = platform?.clock;
+  if (!clock) {
+    return (platform?.timerRemaining ?? 60) * 1000;
+  }
+  if (!clock.running) {
+    return clock.remaining;
+  }
+
+  const serverNow = Date.now() + state.clockOffset;
+  return Math.max(0, clock.remaining - (serverNow - clock.updatedAt));
+}
+
+/**
+ * Clock time as m:ss, rounding up so 0:00 only shows once time is up
+ */
+function formatClock(remaining) {
+  const seconds = Math.ceil(remaining / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function getClockClass(remaining) {
+  if (remaining <= CLOCK_CRITICAL) return "clock-critical";
+  if (remaining <= CLOCK_WARNING) return "clock-warning";
+  return "";
+}
+
+/**
+ * Platform clock markup. The clock keeps itself up to date between server
+ * messages through updateClocks().
+ */
+function renderClock(platform, id, className) {
+  const remaining = getClockRemaining(platform);
+  return `<div ${id ? `id="${id}"` : ""} class="platform-clock ${
+    className || ""
+  } ${getClockClass(remaining)}">${formatClock(remaining)}</div>`;
+}
+
+/**
+ * Count down the clocks on screen for the current platform
+ */
+function updateClocks() {
+  const platform = state.platforms[state.currentPlatformId];
+  if (!platform) return;
+
+  const remaining = getClockRemaining(platform);
+  const text = formatClock(remaining);
+  const warning = getClockClass(remaining);
+
+  document.querySelectorAll(".platform-clock").forEach((clock) => {
+    if (clock.textContent !== text) {
+      clock.textContent = text;
+    }
+    clock.classList.toggle("clock-warning", warning === "clock-warning");
+    clock.classList.toggle("clock-critical", warning === "clock-critical");
+  });
+
+  // Put the referee lights out once their hold time is up
+  const clearAt = platform.lights?.clearAt;
+  if (
+    clearAt &&
+    clearAt <= Date.now() + state.clockOffset &&
+    document.querySelector(".light.white, .light.red")
+  ) {
+    renderResults();
+  }
+}
+
+/**
+ * A platform's referee lights as shown: the server's until their hold time
+ * is up, then all pending again until the next decision
+ */
+function getShownLights(platform) {
+  const lights = platform?.lights;
+  const serverNow = Date.now() + state.clockOffset;
+  if (!lights || !lights.result || lights.clearAt <= serverNow) {
+    return { left: "pending", head: "pending", right: "pending", result: null };
+  }
+  return lights;
+}
+
+/**
+ * Referee lights markup, left to right, with any fault cards under each red
+ * light
+ */
+function renderLights(platform) {
+  const lights = getShownLights(platform);
+  return REFEREE_POSITIONS.map((position) => {
+    const cards = lights.cards?.[position] || [];
+    return `<div class="referee">
+          <div class="light ${lights[position]}" title="${position}"></div>
+          <div class="referee-cards">${cards
+            .map(
+              (colour) => `<span class="ref-card ref-card-${colour}"></span>`
+            )
+            .join("")}</div>
+        </div>`;
+  }).join("");
+}
+
+/**
+ * Render live timer + lights display
+ */
+function renderTimerLightsView() {
   // Ensure a default platform is selected if none is set
   if (!state.currentPlatformId && Object.keys(state.platforms).length > 0) {
     state.currentPlatformId = Object.keys(state.platforms)[0];
@@ -361,23 +1313,22 @@ function renderTimerLightsView() {
     ? state.lifters[currentAttempt.lifterId]
     : null;
 
-  // Use data provided by the backend, with sensible defaults
-  const timeRemaining = platform.timerRemaining ?? 60.0;
-  const lights = platform.lights ?? [false, false, false];
-  const goodLights = lights.filter((l) => l === true).length;
-  const resultClass = goodLights >= 2 ? "good" : "bad";
+  const resultClass = getShownLights(platform).result || "pending";
 
   elements.resultsContainer.innerHTML = `
       <div class="timer-lights-display">
         <div class="timer-box">
           <h2>${currentLifter ? currentLifter.name : "No Active Lifter"}</h2>
-          <div id="live-timer" class="timer-value">${timeRemaining.toFixed(
-            1
-          )}s</div>
+          ${renderClock(platform, "live-timer", "timer-value")}
           <div class="attempt-info">
             ${
               currentAttempt
-                ? `${currentAttempt.liftName} Attempt ${currentAttempt.attemptNumber} - ${currentAttempt.weight} kg`
+                ? `${currentAttempt.liftName} Attempt ${
+                    currentAttempt.attemptNumber
+                  } - ${formatWeight(
+                    parseFloat(currentAttempt.weight) || 0,
+                    true
+                  )}`
                 : ""
             }
           </div>
@@ -385,12 +1336,7 @@ function renderTimerLightsView() {
         <div class="lights-box">
           <h2>Referee Lights</h2>
           <div class="lights ${resultClass}">
-            ${lights
-              .map(
-                (isGood) =>
-                  `<div class="light ${isGood ? "white" : "red"}"></div>`
-              )
-              .join("")}
+            ${renderLights(platform)}
           </div>
         </div>
       </div>
@@ -417,16 +1363,56 @@ function renderPlateLoadingView() {
   const currentLifter = currentAttempt
     ? state.lifters[currentAttempt.lifterId]
     : null;
-  const lights = platform.lights ?? [false, false, false];
-  const timeRemaining = platform.timerRemaining ?? 0.0;
-  const currentLoad = currentAttempt ? currentAttempt.weight : 0.0;
+  const currentLoad = currentAttempt
+    ? parseFloat(currentAttempt.weight) || 0
+    : 0.0;
+
+  // Work out the plates for each side from the meet's inventory, always in
+  // the meet's units since those are the plates on the platform
+  const units = getMeetUnits(state.meetInfo);
+  const unitLabel = UNIT_LABELS[units];
+  const barAndCollars =
+    platform.barAndCollarsWeight || DEFAULT_BAR_AND_COLLARS[units];
+  const loading =
+    currentLoad > 0
+      ? calculatePlates(
+          currentLoad,
+          barAndCollars,
+          getPlateInventory(state.meetInfo)
+        )
+      : null;
 
   elements.resultsContainer.innerHTML = `
     <div class="plates-display">
       <div class="plates-weight">
         <div class="label">Current Load</div>
-        <div id="current-load" class="value">${currentLoad.toFixed(1)} kg</div>
+        <div id="current-load" class="value">${formatWeight(
+          currentLoad,
+          true
+        )}</div>
+      </div>
+      ${
+        loading
+          ? `
+      ${renderPlateDiagram(loading.plates, units)}
+      <div class="plates-breakdown">
+        Each side: <strong>${
+          loading.plates.map((plate) => plate.weight).join(" + ") || "empty bar"
+        }</strong> (bar and collars ${barAndCollars} ${unitLabel})
       </div>
+      ${
+        loading.exact
+          ? ""
+          : `<div class="plates-warning">Cannot load ${currentLoad.toFixed(
+              2
+            )} ${unitLabel} exactly: ${
+              loading.missing < 0
+                ? "lighter than the bar and collars"
+                : `${loading.missing.toFixed(2)} ${unitLabel} short`
+            }</div>`
+      }`
+          : ""
+      }
       <div class="rack-info">
         ${
           currentLifter
@@ -440,19 +1426,216 @@ function renderPlateLoadingView() {
         <div>Lifter: <strong>${
           currentLifter ? currentLifter.name : "N/A"
         }</strong></div>
+        <div>${formatOrderEntry("On Deck", platform.liftingOrder?.next)}</div>
       </div>
       <div class="lights-timer-inline">
-        ${lights
-          .map(
-            (isGood) => `<div class="light ${isGood ? "white" : "red"}"></div>`
-          )
-          .join("")}
-        <div id="plate-timer">${timeRemaining.toFixed(1)}s</div>
+        ${renderLights(platform)}
+        ${renderClock(platform, "plate-timer")}
       </div>
     </div>
   `;
 }
 
+/**
+ * Format a lifting order entry as "Label: Name - 120.0 kg (264 lb)"
+ */
+function formatOrderEntry(label, entry) {
+  const attempt = entry ? state.attempts[entry.attemptId] : null;
+  const lifter = entry ? state.lifters[entry.lifterId] : null;
+  if (!attempt || !lifter) return `${label}: <strong>-</strong>`;
+
+  const weight = parseFloat(attempt.weight) || 0;
+  return `${label}: <strong>${lifter.name}</strong> - ${
+    weight > 0 ? formatWeight(weight, true) : "TBD"
+  }`;
+}
+
+/**
+ * Render an attempt card for the lifting order view
+ */
+function renderOrderCard(label, entry) {
+  const attempt = entry ? state.attempts[entry.attemptId] : null;
+  const lifter = entry ? state.lifters[entry.lifterId] : null;
+
+  if (!attempt || !lifter) {
+    return `
+      <div class="order-card">
+        <div class="order-label">${label}</div>
+        <div class="order-name">-</div>
+      </div>`;
+  }
+
+  const weight = parseFloat(attempt.weight) || 0;
+  const rackHeight =
+    attempt.liftName.toLowerCase() === "squat"
+      ? lifter.squatRackHeight
+      : attempt.liftName.toLowerCase() === "bench"
+      ? lifter.benchRackHeight
+      : "";
+
+  return `
+    <div class="order-card">
+      <div class="order-label">${label}</div>
+      <div class="order-name">${lifter.name}</div>
+      <div class="order-weight">${
+        weight > 0 ? formatWeight(weight, true) : "TBD"
+      }</div>
+      <div class="order-meta">
+        ${attempt.liftName} ${attempt.attemptNumber} | Lot ${
+    lifter.lot || "-"
+  }${rackHeight ? ` | Rack ${rackHeight}` : ""}
+      </div>
+    </div>`;
+}
+
+/**
+ * Render the lifting order for the current platform: who is up, on deck and
+ * in the hole, followed by the upcoming attempts
+ */
+function renderLiftingOrderView() {
+  if (!state.currentPlatformId && Object.keys(state.platforms).length > 0) {
+    state.currentPlatformId = Object.keys(state.platforms)[0];
+  }
+
+  const platform = state.platforms[state.currentPlatformId];
+  const order = platform?.liftingOrder;
+  if (!order) {
+    elements.resultsContainer.innerHTML = `<div class="lifting-order-display"><h2>No Active Platform</h2></div>`;
+    return;
+  }
+
+  const rows = order.upcoming
+    .map((entry, index) => {
+      const attempt = state.attempts[entry.attemptId];
+      const lifter = state.lifters[entry.lifterId];
+      if (!attempt || !lifter) return "";
+
+      const weight = parseFloat(attempt.weight) || 0;
+      return `
+        <tr>
+          <td>${index + 1}</td>
+          <td style="font-weight: 600; text-align: left;">${lifter.name}</td>
+          <td>${lifter.lot || "-"}</td>
+          <td>${lifter.flight || "-"}</td>
+          <td>${attempt.liftName}</td>
+          <td>${attempt.attemptNumber}</td>
+          <td>${weight > 0 ? formatWeightNumber(weight) : "TBD"}</td>
+          <td>${lifter.squatRackHeight || "-"} / ${
+        lifter.benchRackHeight || "-"
+      }</td>
+        </tr>`;
+    })
+    .join("");
+
+  elements.resultsContainer.innerHTML = `
+    <div class="lifting-order-display">
+      <h2>${platform.name}${
+    order.lift
+      ? ` - Session ${order.session ?? "-"}, Flight ${order.flight || "-"}, ${
+          order.lift
+        }`
+      : ""
+  }</h2>
+      <div class="order-cards">
+        ${renderOrderCard("Lifting", order.current)}
+        ${renderOrderCard("On Deck", order.next)}
+        ${renderOrderCard("In the Hole", order.inTheHole)}
+      </div>
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Name</th>
+            <th>Lot</th>
+            <th>Flight</th>
+            <th>Lift</th>
+            <th>Attempt</th>
+            <th>Weight (${UNIT_LABELS[getDisplayUnits()]})</th>
+            <th>Rack SQ / BP</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${
+            rows ||
+            `<tr><td colspan="8" style="text-align: center; padding: 40px;">No upcoming attempts</td></tr>`
+          }
+        </tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * Describe how teams are scored, e.g. "Place points 12-9-8-7..., best 5 count"
+ */
+function describeTeamScoring(standings) {
+  const scoring =
+    standings.method === "points"
+      ? `${POINTS_LABELS[standings.formula] || "Points"} points`
+      : "Place points";
+  return standings.topN
+    ? `${scoring}, best ${standings.topN} count`
+    : `${scoring}, every lifter counts`;
+}
+
+/**
+ * Render team standings with each team's scoring lifters
+ */
+function renderTeamStandingsView() {
+  const standings = state.teamStandings;
+  if (!standings || standings.teams.length === 0) {
+    elements.resultsContainer.innerHTML = `<div class="team-standings-display"><h2>No Teams</h2></div>`;
+    return;
+  }
+
+  const teamCards = standings.teams
+    .map(
+      (team) => `
+      <div class="team-card">
+        <div class="team-header">
+          <span class="team-place ${getPlaceClass(team.place)}">${
+        team.place || "-"
+      }</span>
+          <span class="team-name">${team.name}</span>
+          <span class="team-score">${team.score}</span>
+        </div>
+        <table class="results-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Division</th>
+              <th>Class</th>
+              <th>Place</th>
+              <th>Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${team.scorers
+              .map(
+                (scorer) => `
+            <tr class="${scorer.counted ? "" : "team-scorer-dropped"}">
+              <td style="font-weight: 600; text-align: left;">${
+                scorer.name
+              }</td>
+              <td>${scorer.division || "-"}</td>
+              <td>${scorer.weightClass || "-"}</td>
+              <td>${scorer.place || "-"}</td>
+              <td>${scorer.score > 0 ? scorer.score : "-"}</td>
+            </tr>`
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>`
+    )
+    .join("");
+
+  elements.resultsContainer.innerHTML = `
+    <div class="team-standings-display">
+      <h2>Team Standings <small>${describeTeamScoring(standings)}</small></h2>
+      <div class="team-cards">${teamCards}</div>
+    </div>`;
+}
+
 /**
  * Render livestream overlay display
  */
@@ -477,39 +1660,474 @@ function renderOverlayView() {
     return;
   }
 
-  const timeRemaining = platform.timerRemaining ?? 60.0;
-  const lights = platform.lights ?? [false, false, false];
+  // Call out record attempts, and records once they are set
+  const recordLifts = currentAttempt.records || [];
+  const recordBanner =
+    recordLifts.length > 0
+      ? `<div class="overlay-record ${
+          currentAttempt.result ? "record-set" : "record-attempt"
+        }">${
+          currentAttempt.result ? "New Record" : "Record Attempt"
+        }: ${recordLifts
+          .map((lift) => lift.charAt(0).toUpperCase() + lift.slice(1))
+          .join(", ")}</div>`
+      : "";
+
+  // What the lifter needs: the nearest place up, the podium and the win
+  const prediction = currentLifter.prediction;
+  const overlayNeeds = (prediction?.needs || []).filter(
+    (need, index) => index === 0 || need.place === 1 || need.place === 3
+  );
+  const needsBanner = prediction
+    ? `<div class="overlay-needs">${
+        overlayNeeds.length > 0
+          ? formatNeeds(currentLifter, overlayNeeds)
+          : "In the lead"
+      } | Projected: ${formatProjection(prediction)}</div>`
+    : "";
+  const classUnits = UNIT_LABELS[getMeetUnits(state.meetInfo)];
 
   elements.resultsContainer.innerHTML = `
     <div class="overlay-display">
+      ${recordBanner}
       <div class="overlay-lifter">
         <div class="lifter-name">${currentLifter.name}</div>
         <div class="lifter-meta">
           ${currentLifter.sex} ${currentLifter.division || ""} | ${
     currentLifter.weightClass || ""
-  } kg Class
+  } ${classUnits} Class
         </div>
       </div>
       <div class="overlay-attempts">
         <div>Squat: <strong>${
-          currentLifter.squat.best > 0 ? currentLifter.squat.best : "-"
+          currentLifter.squat.best > 0
+            ? formatWeightNumber(currentLifter.squat.best)
+            : "-"
         }</strong></div>
         <div>Bench: <strong>${
-          currentLifter.bench.best > 0 ? currentLifter.bench.best : "-"
+          currentLifter.bench.best > 0
+            ? formatWeightNumber(currentLifter.bench.best)
+            : "-"
         }</strong></div>
         <div>Deadlift: <strong>${
-          currentLifter.deadlift.best > 0 ? currentLifter.deadlift.best : "-"
+          currentLifter.deadlift.best > 0
+            ? formatWeightNumber(currentLifter.deadlift.best)
+            : "-"
         }</strong></div>
         <div>Total: <strong>${
-          currentLifter.total > 0 ? currentLifter.total : "-"
+          currentLifter.total > 0
+            ? formatWeight(currentLifter.total, true)
+            : "-"
         }</strong></div>
       </div>
+      ${needsBanner}
       <div class="overlay-lights">
-        ${lights
-          .map((l) => `<div class="light ${l ? "white" : "red"}"></div>`)
-          .join("")}
-        <div class="overlay-timer">${timeRemaining.toFixed(1)}s</div>
+        ${renderLights(platform)}
+        ${renderClock(platform, null, "overlay-timer")}
+      </div>
+    </div>`;
+}
+
+/**
+ * A lifter's attempts lift by lift, coloured by result, with declared
+ * attempts not yet taken greyed out and the attempt on the platform marked
+ */
+function renderAttemptGrid(lifter, currentAttempt) {
+  const lifts = lifter.event === "B" ? ["bench"] : LIFTS;
+  const rows = lifts
+    .map((lift) => {
+      const cells = [1, 2, 3]
+        .map((n) => {
+          const weight = lifter[lift][n];
+          const attempt = findAttempt(lifter.id, lift, n);
+          const declared = weight === 0 ? parseFloat(attempt?.weight) || 0 : 0;
+          const isCurrent = attempt && attempt.id === currentAttempt.id;
+          return `<td class="${getAttemptClass(weight)} ${
+            isCurrent ? "announcer-attempt-current" : ""
+          }">${
+            declared > 0 ? formatWeightNumber(declared) : formatAttempt(weight)
+          }${getRecordMarker(lifter, lift, n)}</td>`;
+        })
+        .join("");
+      return `
+          <tr>
+            <th>${lift.charAt(0).toUpperCase() + lift.slice(1)}</th>
+            ${cells}
+            <td class="best-lift">${
+              lifter[lift].best > 0
+                ? formatWeightNumber(lifter[lift].best)
+                : "-"
+            }</td>
+          </tr>`;
+    })
+    .join("");
+
+  return `
+      <table class="results-table announcer-attempts">
+        <thead>
+          <tr><th></th><th>1</th><th>2</th><th>3</th><th>Best</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+}
+
+/**
+ * What a good lift on a lifter's declared attempt would do to where they
+ * stand, e.g. "A good lift makes 410.0 kg, up to 1st"
+ */
+function describeNextAttempt(lifter) {
+  if (!lifter.prediction) return "No attempts left";
+  const next = lifter.prediction.nextAttempt;
+  if (!next) return "Next attempt not declared yet";
+
+  let change = `into ${formatPlace(next.place)}`;
+  if (lifter.place && next.place < lifter.place) {
+    change = `up to ${formatPlace(next.place)}`;
+  } else if (lifter.place) {
+    change =
+      next.place === 1 ? "keeps the lead" : `stays ${formatPlace(next.place)}`;
+  }
+  return `A good lift makes ${formatWeight(next.total)}, ${change}`;
+}
+
+/**
+ * The lifter on deck or in the hole, with their attempt, team and place
+ */
+function renderUpNext(label, entry) {
+  const attempt = entry ? state.attempts[entry.attemptId] : null;
+  const lifter = entry ? state.lifters[entry.lifterId] : null;
+  if (!attempt || !lifter) {
+    return `<li><span class="order-label">${label}</span> -</li>`;
+  }
+
+  const weight = parseFloat(attempt.weight) || 0;
+  return `
+          <li>
+            <span class="order-label">${label}</span>
+            <strong>${lifter.name}</strong>
+            ${weight > 0 ? formatWeight(weight) : "TBD"} ${attempt.liftName} ${
+    attempt.attemptNumber
+  }
+            <div class="order-meta">${[
+              lifter.team,
+              lifter.place ? formatPlace(lifter.place) : "Unplaced",
+            ]
+              .filter(Boolean)
+              .join(" | ")}</div>
+          </li>`;
+}
+
+/**
+ * Things for the announcer to say about a lifter: their age, records they
+ * have set or could set, their best lifts, how many attempts they have made
+ * and the lifts no one in their group has beaten
+ */
+function getTalkingPoints(lifter, rivals) {
+  const points = [];
+  const lifts = lifter.event === "B" ? ["bench"] : LIFTS;
+
+  if (lifter.age !== null && lifter.age !== undefined) {
+    points.push(`${lifter.age} years old`);
+  }
+
+  Object.entries(lifter.records || {}).forEach(([lift, record]) => {
+    if (record.set) {
+      points.push(
+        `Has set a ${lift} record, beating ${formatWeight(record.record)}`
+      );
+    } else if (record.attempt !== null) {
+      points.push(
+        `A ${formatWeight(
+          record.attempt
+        )} ${lift} would break the record of ${formatWeight(record.record)}`
+      );
+    }
+  });
+
+  const bests = lifts
+    .filter((lift) => lifter[lift].best > 0)
+    .map((lift) => `${lift} ${formatWeight(lifter[lift].best)}`);
+  points.push(
+    bests.length > 0 ? `Best so far: ${bests.join(", ")}` : "No good lifts yet"
+  );
+
+  const taken = lifts
+    .flatMap((lift) => [1, 2, 3].map((n) => lifter[lift][n]))
+    .filter((weight) => weight !== 0);
+  if (taken.length > 0) {
+    points.push(
+      `Made ${taken.filter((weight) => weight > 0).length} of ${
+        taken.length
+      } attempt${taken.length === 1 ? "" : "s"}`
+    );
+  }
+
+  lifts
+    .filter(
+      (lift) =>
+        rivals.length > 1 &&
+        lifter[lift].best > 0 &&
+        rivals.every((rival) => rival[lift].best <= lifter[lift].best)
+    )
+    .forEach((lift) => {
+      points.push(
+        `Heaviest ${lift} in ${[
+          lifter.division,
+          formatClassLabel(lifter.weightClass),
+        ]
+          .filter(Boolean)
+          .join(" ")} so far`
+      );
+    });
+
+  const score = lifter.points?.[state.pointsFormula] || 0;
+  if (score > 0) {
+    points.push(
+      `${POINTS_LABELS[state.pointsFormula]} ${score.toFixed(2)}${
+        lifter.pointsRank?.overall
+          ? `, ${formatPlace(lifter.pointsRank.overall)} best lifter`
+          : ""
+      }`
+    );
+  }
+
+  return points;
+}
+
+/**
+ * Render the announcer console: the lifter on the platform with their
+ * attempts, where they stand and what this attempt would do, who is up next,
+ * talking points, what they need for each place and where their division
+ * stands
+ */
+function renderAnnouncerView() {
+  if (!state.currentPlatformId && Object.keys(state.platforms).length > 0) {
+    state.currentPlatformId = Object.keys(state.platforms)[0];
+  }
+
+  const platform = state.platforms[state.currentPlatformId];
+  const currentAttempt = platform?.currentAttemptId
+    ? state.attempts[platform.currentAttemptId]
+    : null;
+  const currentLifter = currentAttempt
+    ? state.lifters[currentAttempt.lifterId]
+    : null;
+
+  if (!currentLifter) {
+    elements.resultsContainer.innerHTML = `<div class="announcer-display"><h2>No Active Lifter</h2></div>`;
+    return;
+  }
+
+  const prediction = currentLifter.prediction;
+  const weight = parseFloat(currentAttempt.weight) || 0;
+  const needs = prediction?.needs || [];
+
+  // The lifter's division, sex and weight class, as they are placed
+  const rivals = Object.values(state.lifters)
+    .filter(
+      (lifter) =>
+        lifter.divisionId === currentLifter.divisionId &&
+        lifter.sex === currentLifter.sex &&
+        lifter.weightClass === currentLifter.weightClass
+    )
+    .sort((a, b) => (a.place || Infinity) - (b.place || Infinity));
+
+  const rows = rivals
+    .map(
+      (lifter) => `
+        <tr class="${
+          lifter.id === currentLifter.id ? "announcer-current" : ""
+        }">
+          <td class="${getPlaceClass(lifter.place)}">${lifter.place || "-"}</td>
+          <td style="font-weight: 600; text-align: left;">${lifter.name}</td>
+          <td>${lifter.total > 0 ? formatWeightNumber(lifter.total) : "-"}</td>
+          <td>${
+            lifter.prediction ? formatProjection(lifter.prediction) : "-"
+          }</td>
+          <td style="text-align: left;">${
+            lifter.prediction?.needs.length > 0
+              ? formatNeeds(lifter, lifter.prediction.needs)
+              : "-"
+          }</td>
+        </tr>`
+    )
+    .join("");
+
+  const details = [
+    currentLifter.team,
+    currentLifter.division,
+    formatClassLabel(currentLifter.weightClass),
+    currentLifter.age !== null && currentLifter.age !== undefined
+      ? `Age ${currentLifter.age}`
+      : "",
+  ].filter(Boolean);
+
+  elements.resultsContainer.innerHTML = `
+    <div class="announcer-display">
+      <div class="announcer-console">
+        <div class="announcer-lifter">
+          <div class="order-label">Now Lifting</div>
+          <div class="order-name">${currentLifter.name}</div>
+          <div class="order-weight">${
+            weight > 0 ? formatWeight(weight, true) : "TBD"
+          }</div>
+          <div class="order-meta">
+            ${currentAttempt.liftName} ${currentAttempt.attemptNumber}${
+    details.length > 0 ? ` | ${details.join(" | ")}` : ""
+  }
+          </div>
+          ${renderAttemptGrid(currentLifter, currentAttempt)}
+        </div>
+        <div class="announcer-panel">
+          <h3>Standing</h3>
+          <p class="announcer-standing">${
+            currentLifter.place
+              ? `${formatPlace(currentLifter.place)} with ${formatWeight(
+                  currentLifter.total
+                )}`
+              : "Not placed yet"
+          }</p>
+          <p>${describeNextAttempt(currentLifter)}</p>
+          <h3>Up Next</h3>
+          <ul class="announcer-up-next">
+            ${renderUpNext("On Deck", platform.liftingOrder?.next)}
+            ${renderUpNext("In the Hole", platform.liftingOrder?.inTheHole)}
+          </ul>
+        </div>
       </div>
+      <div class="announcer-console">
+        <div class="announcer-needs">
+          <h3>What ${currentLifter.name} Needs</h3>
+          ${
+            !prediction
+              ? "<p>No attempts left</p>"
+              : needs.length > 0
+              ? `<ul>${needs
+                  .map(
+                    (need) => `
+            <li><strong>${formatWeight(need.weight, true)}</strong> ${
+                      prediction.lift
+                    } ${describeNeedPlace(
+                      currentLifter,
+                      need.place
+                    )} (projected total ${formatWeightNumber(need.total)})</li>`
+                  )
+                  .join("")}</ul>`
+              : "<p>Leads even if every declared attempt is good</p>"
+          }
+          ${
+            prediction
+              ? `<p>${prediction.attemptsLeft} ${prediction.lift} attempt${
+                  prediction.attemptsLeft === 1 ? "" : "s"
+                } left. Projected: ${formatProjection(prediction)}</p>`
+              : ""
+          }
+        </div>
+        <div class="announcer-panel">
+          <h3>Talking Points</h3>
+          <ul>${getTalkingPoints(currentLifter, rivals)
+            .map((point) => `<li>${point}</li>`)
+            .join("")}</ul>
+        </div>
+      </div>
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Place</th>
+            <th>Name</th>
+            <th>Total (${UNIT_LABELS[getDisplayUnits()]})</th>
+            <th>Projected</th>
+            <th>Needs</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+/**
+ * A meet event as a sentence, e.g. "Jane Doe moves up to 1st in Open 63 kg"
+ */
+function describeEvent(event) {
+  // Attempt events: e.g. "140.0 kg squat (attempt 2)"
+  const attempt = event.attemptNumber
+    ? `${formatWeight(event.weight)} ${event.lift} (attempt ${
+        event.attemptNumber
+      })`
+    : "";
+
+  if (event.type === "attempt-declared") {
+    return event.previousWeight
+      ? `${event.name} changes to ${attempt}, from ${formatWeight(
+          event.previousWeight
+        )}`
+      : `${event.name} declares ${attempt}`;
+  } else if (event.type === "good-lift" || event.type === "no-lift") {
+    return `${event.name}: ${attempt}`;
+  } else if (event.type === "record-set") {
+    return `${event.name} sets the ${event.lift} record with ${formatWeight(
+      event.weight
+    )} (was ${formatWeight(event.record)})`;
+  } else if (event.type === "new-total") {
+    return event.previousTotal
+      ? `${event.name} raises the total to ${formatWeight(
+          event.total
+        )}, from ${formatWeight(event.previousTotal)}`
+      : `${event.name} totals ${formatWeight(event.total)}`;
+  } else if (event.type === "place-change") {
+    const category = [event.division, formatClassLabel(event.weightClass)]
+      .filter(Boolean)
+      .join(" ");
+    return `${event.name} ${
+      event.place < event.previousPlace ? "moves up" : "drops"
+    } to ${formatPlace(event.place)}${category ? ` in ${category}` : ""}`;
+  } else if (event.type === "bombed-out") {
+    return `${event.name} bombs out of the ${event.lift}`;
+  }
+  return event.name;
+}
+
+/**
+ * Render the event ticker: what just happened to the lifters that pass the
+ * filters, newest first, with events that arrived since the last render
+ * sliding in
+ */
+function renderTickerView(lifters) {
+  const shown = new Set(lifters.map((lifter) => lifter.id));
+  const events = state.events
+    .filter((event) => shown.has(event.lifterId))
+    .slice(-TICKER_LENGTH)
+    .reverse();
+
+  const lastSeen = state.tickerLastEventId;
+  state.tickerLastEventId =
+    state.events.length > 0 ? state.events[state.events.length - 1].id : 0;
+
+  if (events.length === 0) {
+    elements.resultsContainer.innerHTML = `<div class="ticker-display"><p class="ticker-empty">Lifts, records and place changes show here as they happen</p></div>`;
+    return;
+  }
+
+  elements.resultsContainer.innerHTML = `
+    <div class="ticker-display">
+      <ul class="ticker">
+        ${events
+          .map(
+            (event) => `
+        <li class="ticker-event ticker-${event.type} ${
+              lastSeen !== null && event.id > lastSeen ? "ticker-new" : ""
+            }">
+          <span class="ticker-time">${new Date(
+            event.time
+          ).toLocaleTimeString()}</span>
+          <span class="ticker-label">${
+            EVENT_LABELS[event.type] || event.type
+          }</span>
+          <span class="ticker-text">${describeEvent(event)}</span>
+        </li>`
+          )
+          .join("")}
+      </ul>
     </div>`;
 }
 
@@ -522,6 +2140,7 @@ function renderResults() {
   // Hide all containers first
   elements.resultsContainer.classList.add("hidden");
   elements.compactContainer.classList.add("hidden");
+  elements.leaderboardContainer.classList.add("hidden");
 
   if (state.layout === "table") {
     elements.resultsContainer.classList.remove("hidden");
@@ -529,6 +2148,12 @@ function renderResults() {
   } else if (state.layout === "compact") {
     elements.compactContainer.classList.remove("hidden");
     renderCompactView(filteredLifters);
+  } else if (state.layout === "leaderboard") {
+    elements.leaderboardContainer.classList.remove("hidden");
+    renderLeaderboardView(filteredLifters);
+  } else if (state.layout === "teams") {
+    elements.resultsContainer.classList.remove("hidden");
+    renderTeamStandingsView();
   } else if (state.layout === "timer") {
     elements.resultsContainer.classList.remove("hidden");
     renderTimerLightsView();
@@ -538,6 +2163,15 @@ function renderResults() {
   } else if (state.layout === "overlay") {
     elements.resultsContainer.classList.remove("hidden");
     renderOverlayView();
+  } else if (state.layout === "order") {
+    elements.resultsContainer.classList.remove("hidden");
+    renderLiftingOrderView();
+  } else if (state.layout === "announcer") {
+    elements.resultsContainer.classList.remove("hidden");
+    renderAnnouncerView();
+  } else if (state.layout === "ticker") {
+    elements.resultsContainer.classList.remove("hidden");
+    renderTickerView(filteredLifters);
   }
 }
 
@@ -553,13 +2187,19 @@ function toggleFullscreen() {
 }
 
 /**
- * Disconnect and return to config
+ * Leave the meet and return to config
  */
 function disconnect() {
+  state.meetId = null;
+  state.urlMeetId = null;
+
+  // A fresh connection leaves the meet; the server then asks for a new one
   if (state.ws) {
-    state.ws.close();
+    const ws = state.ws;
     state.ws = null;
+    ws.close();
   }
+  connectWebSocket();
 
   elements.mainDisplay.classList.add("hidden");
   elements.configPanel.classList.remove("hidden");
@@ -570,12 +2210,125 @@ function disconnect() {
   state.attempts = {};
   state.meetInfo = {};
   state.federation = null;
+  state.replay = null;
+  updateReplayControls();
+  saveUrlSettings();
+}
+
+/**
+ * Whether a URL flag such as `transparent=1` is on
+ */
+function isUrlFlagSet(params, name) {
+  return ["1", "true", "yes"].includes(String(params.get(name)).toLowerCase());
+}
+
+/**
+ * Choose a select option if it exists, returning whether it did
+ */
+function selectOption(select, value) {
+  if (!value || !Array.from(select.options).some((o) => o.value === value)) {
+    return false;
+  }
+  select.value = value;
+  return true;
+}
+
+/**
+ * Apply display settings given as URL parameters: `view`, `rank`, `units`,
+ * `platform`, `division` and `weightClass`
+ */
+function applyDisplaySettings(params) {
+  if (selectOption(elements.displayModeSelect, params.get("view"))) {
+    state.layout = params.get("view");
+  }
+  if (selectOption(elements.rankBySelect, params.get("rank"))) {
+    state.rankBy = params.get("rank");
+  }
+  const units = URL_UNITS[(params.get("units") || "").toUpperCase()];
+  if (units) {
+    state.units = units;
+    elements.unitsSelect.value = units;
+  }
+
+  state.filters.platform = params.get("platform") || "";
+  state.filters.division = params.get("division") || "";
+  state.filters.weightClass = params.get("weightClass") || "";
+  if (state.filters.platform) {
+    state.currentPlatformId = state.filters.platform;
+  }
+}
+
+/**
+ * Set the display up from the page URL, e.g.
+ * /display?meet=…&view=overlay&platform=…&division=…, following the meet it
+ * names once connected. `transparent=1` drops the background for OBS
+ * browser sources; `chrome=0` hides everything but the view.
+ */
+function applyUrlSettings() {
+  const params = new URLSearchParams(window.location.search);
+
+  selectOption(
+    elements.federationSelect,
+    (params.get("federation") || "").toUpperCase()
+  );
+  applyDisplaySettings(params);
+
+  document.body.classList.toggle(
+    "transparent",
+    isUrlFlagSet(params, "transparent")
+  );
+  document.body.classList.toggle(
+    "chrome-free",
+    ["0", "false", "no"].includes(params.get("chrome"))
+  );
+
+  state.urlMeetId = params.get("meet");
+  if (state.urlMeetId) {
+    elements.meetIdInput.value = state.urlMeetId;
+    // Go straight to the display, even while the server can't be reached
+    elements.mainDisplay.classList.remove("hidden");
+  }
+}
+
+/**
+ * Keep the meet and display settings in the page URL, so reloading or
+ * bookmarking the page brings back the same display
+ */
+function saveUrlSettings() {
+  const params = new URLSearchParams(window.location.search);
+  // Viewers follow the admin's meet unless their URL names one
+  const meetId = state.role === "admin" ? state.meetId : state.urlMeetId;
+  const settings = {
+    meet: meetId,
+    federation: meetId ? elements.federationSelect.value : "",
+    view: state.layout === "table" ? "" : state.layout,
+    rank: state.rankBy === "place" ? "" : state.rankBy,
+    units: state.units === "meet" ? "" : state.units,
+    platform: state.filters.platform,
+    division: state.filters.division,
+    weightClass: state.filters.weightClass,
+  };
+
+  Object.entries(settings).forEach(([name, value]) => {
+    if (value) {
+      params.set(name, value);
+    } else {
+      params.delete(name);
+    }
+  });
+
+  const query = params.toString();
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${query ? `?${query}` : ""}`
+  );
 }
 
 /**
  * Event Listeners
  */
-elements.connectBtn.addEventListener("click", connectWebSocket);
+elements.connectBtn.addEventListener("click", connectToMeet);
 elements.disconnectBtn.addEventListener("click", disconnect);
 elements.fullscreenBtn.addEventListener("click", toggleFullscreen);
 elements.displayModeSelect.addEventListener("change", (e) => {
@@ -583,19 +2336,89 @@ elements.displayModeSelect.addEventListener("change", (e) => {
   renderResults();
 });
 
+elements.replayToggle.addEventListener("click", () => {
+  sendReplayControl({ action: state.replay?.playing ? "pause" : "play" });
+});
+
+elements.replaySpeed.addEventListener("change", (e) => {
+  sendReplayControl({ action: "speed", speed: Number(e.target.value) });
+});
+
+elements.replaySeek.addEventListener("change", (e) => {
+  sendReplayControl({ action: "seek", position: Number(e.target.value) });
+});
+
+elements.unitsSelect.addEventListener("change", (e) => {
+  state.units = e.target.value;
+  renderResults();
+});
+
+elements.secondaryUnitsToggle.addEventListener("change", (e) => {
+  state.showSecondaryUnits = e.target.checked;
+  renderResults();
+});
+
+elements.rankBySelect.addEventListener("change", (e) => {
+  state.rankBy = e.target.value;
+  renderResults();
+});
+
+elements.filterMale.addEventListener("change", (e) => {
+  state.filters.male = e.target.checked;
+  renderResults();
+});
+
+elements.filterFemale.addEventListener("change", (e) => {
+  state.filters.female = e.target.checked;
+  renderResults();
+});
+
+[
+  ["division", elements.filterDivision],
+  ["equipment", elements.filterEquipment],
+  ["weightClass", elements.filterWeightClass],
+  ["session", elements.filterSession],
+  ["flight", elements.filterFlight],
+].forEach(([filter, select]) => {
+  select.addEventListener("change", (e) => {
+    state.filters[filter] = e.target.value;
+    renderResults();
+  });
+});
+
+elements.filterPlatform.addEventListener("change", (e) => {
+  state.filters.platform = e.target.value;
+  // The platform views follow the chosen platform too
+  if (e.target.value) {
+    state.currentPlatformId = e.target.value;
+  }
+  if (state.meetId && e.target.value !== state.subscribedPlatform) {
+    subscribe();
+  }
+  renderResults();
+});
+
 elements.searchInput.addEventListener("input", (e) => {
   state.filters.search = e.target.value;
   renderResults();
 });
 
+// Remember display and filter changes in the URL
+elements.mainDisplay.addEventListener("change", saveUrlSettings);
+
 // Allow Enter key to connect
 elements.meetIdInput.addEventListener("keypress", (e) => {
   if (e.key === "Enter") {
-    connectWebSocket();
+    connectToMeet();
   }
 });
 
+// Platform clocks run between server messages
+setInterval(updateClocks, 100);
+
 /**
  * Initialise application
  */
+applyUrlSettings();
+connectWebSocket();
 console.log("Live Meet Display initialised");
@@ -0,0 +1,190 @@
+// Standard competition plates, heaviest first, used when the meet doesn't
+// list its own inventory
+const DEFAULT_PLATES = {
+  KG: [
+    { weight: 25, color: "#d62828" },
+    { weight: 20, color: "#1d4ed8" },
+    { weight: 15, color: "#f4c20d" },
+    { weight: 10, color: "#2e9e44" },
+    { weight: 5, color: "#f5f5f5" },
+    { weight: 2.5, color: "#222222" },
+    { weight: 1.25, color: "#b8bcc2" },
+    { weight: 0.5, color: "#b8bcc2" },
+    { weight: 0.25, color: "#b8bcc2" },
+  ],
+  LBS: [
+    { weight: 55, color: "#d62828" },
+    { weight: 45, color: "#1d4ed8" },
+    { weight: 35, color: "#f4c20d" },
+    { weight: 25, color: "#2e9e44" },
+    { weight: 10, color: "#f5f5f5" },
+    { weight: 5, color: "#222222" },
+    { weight: 2.5, color: "#b8bcc2" },
+    { weight: 1.25, color: "#b8bcc2" },
+  ],
+};
+
+// Bar and collars when the platform doesn't say
+const DEFAULT_BAR_AND_COLLARS = { KG: 25, LBS: 55 };
+
+// Plate [diameter, thickness] in mm by weight in kg, for drawing to scale
+const PLATE_SIZES = [
+  [25, 450, 27],
+  [20, 450, 22],
+  [15, 400, 21],
+  [10, 325, 21],
+  [5, 230, 26],
+  [2.5, 190, 19],
+  [1.25, 160, 16],
+  [0.5, 134, 13],
+  [0.25, 100, 10],
+];
+
+/**
+ * Plates available for loading, heaviest first. Uses the meet's `plates`
+ * (each with `weight`, `color` and `pairCount`) when it has them.
+ */
+function getPlateInventory(meetInfo) {
+  const units = getMeetUnits(meetInfo);
+  const meetPlates = Array.isArray(meetInfo?.plates)
+    ? meetInfo.plates
+    : Object.values(meetInfo?.plates || {});
+
+  const plates = meetPlates
+    .map((plate) => {
+      const weight = parseFloat(plate.weight);
+      const pairs = plate.pairCount ?? plate.count;
+      return {
+        weight,
+        color: plate.color || getDefaultPlateColor(units, weight),
+        pairs: pairs === undefined || pairs === null ? Infinity : pairs,
+      };
+    })
+    .filter((plate) => plate.weight > 0 && plate.pairs > 0);
+
+  const inventory =
+    plates.length > 0
+      ? plates
+      : DEFAULT_PLATES[units].map((plate) => ({ ...plate, pairs: Infinity }));
+
+  return inventory.sort((a, b) => b.weight - a.weight);
+}
+
+function getDefaultPlateColor(units, weight) {
+  const plate = DEFAULT_PLATES[units].find((p) => p.weight === weight);
+  return plate ? plate.color : "#b8bcc2";
+}
+
+/**
+ * Work out the plates to load on each side of the bar for a total weight.
+ * Tries for an exact load from the inventory; otherwise returns the closest
+ * load under the target with `exact: false` and the `missing` weight.
+ */
+function calculatePlates(totalWeight, barAndCollars, inventory) {
+  // Work in hundredths to avoid floating point drift (e.g. 1.25 kg plates)
+  const toUnits = (weight) => Math.round(weight * 100);
+  const perSide = toUnits((totalWeight - barAndCollars) / 2);
+
+  if (perSide < 0) {
+    return {
+      plates: [],
+      exact: false,
+      missing: totalWeight - barAndCollars,
+      perSide: 0,
+    };
+  }
+
+  const sizes = inventory.map((plate) => toUnits(plate.weight));
+  let best = { remaining: perSide, counts: inventory.map(() => 0) };
+
+  // Depth-first search from the heaviest plates down, so the first exact
+  // solution found uses the fewest, heaviest plates. States that can't reach
+  // an exact load are remembered so they're only explored once.
+  const deadEnds = new Set();
+
+  function search(index, remaining, counts) {
+    if (remaining < best.remaining) {
+      best = { remaining, counts: [...counts] };
+    }
+    if (remaining === 0) return true;
+    if (index >= inventory.length || deadEnds.has(`${index}|${remaining}`)) {
+      return false;
+    }
+
+    const maxCount = Math.min(
+      inventory[index].pairs,
+      Math.floor(remaining / sizes[index])
+    );
+    // With the lightest plate, loading as many as possible is always best
+    const minCount = index === inventory.length - 1 ? maxCount : 0;
+
+    for (let count = maxCount; count >= minCount; count--) {
+      counts[index] = count;
+      if (search(index + 1, remaining - count * sizes[index], counts)) {
+        return true;
+      }
+    }
+    counts[index] = 0;
+    deadEnds.add(`${index}|${remaining}`);
+    return false;
+  }
+
+  search(
+    0,
+    perSide,
+    inventory.map(() => 0)
+  );
+
+  const plates = [];
+  inventory.forEach((plate, index) => {
+    for (let i = 0; i < best.counts[index]; i++) {
+      plates.push({ weight: plate.weight, color: plate.color });
+    }
+  });
+
+  return {
+    plates,
+    exact: best.remaining === 0,
+    missing: (best.remaining * 2) / 100,
+    perSide: perSide / 100,
+  };
+}
+
+/**
+ * Plate [diameter, thickness] in mm, taking the nearest known size
+ */
+function getPlateSize(weight, units) {
+  const weightKg = units === "LBS" ? weight / LBS_PER_KG : weight;
+  const [, diameter, thickness] = PLATE_SIZES.reduce((closest, size) =>
+    Math.abs(size[0] - weightKg) < Math.abs(closest[0] - weightKg)
+      ? size
+      : closest
+  );
+  return [diameter, thickness];
+}
+
+/**
+ * Draw one side of the bar, plates from the inside out, to scale
+ */
+function renderPlateDiagram(plates, units) {
+  const scale = 0.5; // px per mm
+
+  const plateHtml = plates
+    .map((plate) => {
+      const [diameter, thickness] = getPlateSize(plate.weight, units);
+      return `<div class="plate" style="height: ${diameter * scale}px; width: ${
+        thickness * scale * 2
+      }px; background: ${plate.color};" title="${plate.weight}"><span>${
+        plate.weight
+      }</span></div>`;
+    })
+    .join("");
+
+  return `
+    <div class="plate-diagram">
+      <div class="bar-sleeve"></div>
+      ${plateHtml}
+      <div class="collar"></div>
+      <div class="bar-end"></div>
+    </div>`;
+}
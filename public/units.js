@@ -0,0 +1,35 @@
+const LBS_PER_KG = 2.20462;
+
+const UNIT_LABELS = { KG: "kg", LBS: "lb" };
+
+/**
+ * The meet's weight unit, "KG" or "LBS"
+ */
+function getMeetUnits(meetInfo) {
+  return String(meetInfo?.units || "KG")
+    .toUpperCase()
+    .startsWith("LB")
+    ? "LBS"
+    : "KG";
+}
+
+/**
+ * Convert a weight between "KG" and "LBS". Converted weights are rounded the
+ * way they'd be announced: kg to the nearest 0.5, lb to the nearest pound.
+ */
+function convertWeight(weight, fromUnits, toUnits) {
+  if (fromUnits === toUnits) return weight;
+
+  return toUnits === "LBS"
+    ? Math.round(weight * LBS_PER_KG)
+    : Math.round((weight / LBS_PER_KG) * 2) / 2;
+}
+
+/**
+ * A weight's number for display: one decimal place, or none for whole pounds
+ */
+function formatWeightValue(weight, units) {
+  return units === "LBS" && Number.isInteger(weight)
+    ? String(weight)
+    : weight.toFixed(1);
+}
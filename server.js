@@ -1,454 +1,725 @@
 import { App } from "uWebSockets.js";
-import fetch from "node-fetch";
-import { readFileSync, readFile } from "fs";
+import { readFile } from "fs";
+import { createHash, timingSafeEqual } from "crypto";
 import { join, extname, dirname } from "path";
 import { fileURLToPath } from "url";
+import {
+  federationConfigs,
+  loadFederationConfigs,
+  watchFederationConfigs,
+} from "./lib/federations.js";
+import { loadConfig, getUsage, applyLogLevel } from "./lib/config.js";
+import { followMeet, parseMeetKey } from "./lib/sources/index.js";
+import { createRecorder } from "./lib/recorder.js";
+import { loadMeetDocs, applyMeetDocs } from "./lib/process.js";
+import { EXPORT_FORMATS } from "./lib/export.js";
+import { updateMeetEvents } from "./lib/events.js";
+import {
+  PROTOCOL_VERSION,
+  getTopic,
+  getPlatformPayload,
+  getPublishedState,
+  getDelta,
+} from "./lib/protocol.js";
+import {
+  getETag,
+  matchesETag,
+  getMeetSummary,
+  getPlatforms,
+  getLifters,
+  getLifter,
+  getDivisions,
+  getEvents,
+} from "./lib/api.js";
 
 // ES6 module support
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Load federation configurations
-const federationConfigs = JSON.parse(
-  readFileSync(join(__dirname, "federations.json"), "utf8")
-);
+// Configuration, from a config file, the environment and command line flags
+// (see lib/config.js)
+if (process.argv.includes("--help") || process.argv.includes("-h")) {
+  console.log(getUsage());
+  process.exit(0);
+}
+
+let config;
+try {
+  config = loadConfig(process.argv.slice(2), process.env);
+  loadFederationConfigs(config.federationsFile);
+  if (!federationConfigs[config.federation]) {
+    throw new Error(
+      `Unknown federation ${config.federation}; ${
+        config.federationsFile
+      } has ${Object.keys(federationConfigs).join(", ")}`
+    );
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+applyLogLevel(config.logLevel);
+
+// Display settings an admin can choose for viewers' screens
+const DISPLAY_SETTINGS = [
+  "view",
+  "platform",
+  "division",
+  "weightClass",
+  "units",
+  "rank",
+];
+
+// Pages served from public/ by path
+const PAGES = {
+  "": "index.html",
+  "/": "index.html",
+  "/display": "index.html", // Set up from the query string
+  "/admin": "admin.html",
+};
 
-// Configuration
-const PORT = 9001;
-const UPDATE_INTERVAL = 15000; // Pull data from the server every N seconds
+// Settings for each data source, keyed by source name
+const sourceOptions = {
+  liftingcast: {
+    baseUrl: config.couchdbUrl,
+    retryDelay: config.resyncDelay,
+    pollTimeout: config.pollTimeout,
+  },
+  file: { dir: config.dumpDir },
+  simulator: { interval: config.simulatorInterval },
+  replay: { dir: config.recordingsDir },
+};
 
 // State management
-let meetData = {
-  lifters: {},
-  attempts: {},
-  divisions: {},
-  platforms: {},
-  referees: {},
-  meetInfo: null,
-  federation: null,
+// Active meets, keyed by meet ID. Each meet has its own data source, processed
+// state and subscriber list, so screens following different meets never
+// interfere with each other.
+const meets = new Map();
+
+// Meet ID each connected WebSocket client is subscribed to (null until the
+// client configures one)
+const clientMeets = new Map();
+
+// Topic each configured WebSocket client is subscribed to: its meet's, or
+// one of the meet's platforms'
+const clientTopics = new Map();
+
+// Each connected WebSocket client's role ("admin" or "viewer"), address and
+// connection time
+const clients = new Map();
+
+// What an admin has set up: the meet viewers are shown (kept followed even
+// without subscribers) and the display settings their screens use
+const serverConfig = {
   meetId: null,
-  lastUpdate: null,
+  federation: config.federation,
+  display: {},
 };
 
-let connectedClients = [];
-
-async function fetchData(meetId) {
-  let data = null;
-  const baseUrl = `https://couchdb.liftingcast.com/${meetId}_readonly`;
+// uWS app, which also publishes meet updates to topic subscribers
+const app = App();
 
-  try {
-    console.log(`Fetching from: ${baseUrl}`);
-    const response = await fetch(
-      `${baseUrl}/_all_docs?conflicts=true&include_docs=true`,
-      {
-        method: "GET",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-          Origin: "https://liftingcast.com",
-          Referer: "https://liftingcast.com/",
-        },
-      }
-    );
+/**
+ * Create an empty meet state
+ */
+function createMeet(meetId, federation) {
+  return {
+    lifters: {},
+    attempts: {},
+    divisions: {},
+    platforms: {},
+    referees: {},
+    meetInfo: null,
+    federation: federation,
+    pointsFormula: null,
+    weightClassMismatches: [],
+    teamStandings: null,
+    reportedMismatches: new Set(), // Mismatches already logged
+    meetId: meetId,
+    lastUpdate: null,
+    docs: new Map(), // Raw docs by ID, kept up to date by the data source
+    subscribers: new Set(),
+    topics: new Map(), // Topics with subscribers, by name
+    pinned: false, // Kept followed without subscribers (the configured meet)
+    lastError: null, // Latest fetch error, until the next successful load
+    revealedLights: new Map(), // When each platform's lights came on
+    lightsHoldTime: config.lightsHoldTime,
+    events: [], // Latest events, oldest first (see lib/events.js)
+    lastEventId: 0,
+    eventState: null, // What the next events are worked out against
+    sync: null,
+    recorder: null,
+  };
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+/**
+ * Log lifters whose assigned weight class doesn't fit their bodyweight,
+ * once each
+ */
+function reportWeightClassMismatches(meet) {
+  const reported = new Set();
+
+  meet.weightClassMismatches.forEach((mismatch) => {
+    const key = `${mismatch.lifterId}|${mismatch.divisionId}|${mismatch.weightClass}|${mismatch.expected}`;
+    reported.add(key);
+    if (!meet.reportedMismatches.has(key)) {
+      console.warn(
+        `Weight class mismatch in meet ${meet.meetId}: ${mismatch.name} (${mismatch.bodyweight}) is in ${mismatch.division} ${mismatch.weightClass} but fits ${mismatch.expected}`
+      );
     }
+  });
 
-    data = await response.json();
-    console.log(`Received ${data.rows?.length || 0} documents`);
-
-    // // Uncomment if required to print all JSON data, to be used for parsing data format.
-    // console.log(`Data: ${JSON.stringify(data, null, 2)}`);
-    // // NB: This is not a public API. Data format may vary.
-    // // You should always request a public API key.
-
-    const lifterCount = data.rows?.filter(
-      (row) => row.doc?._id?.startsWith("l") && row.doc?.name && row.doc?.gender
-    ).length;
-    console.log(`Found lifter docs: ${lifterCount}`);
-
-    const attemptCount = data.rows?.filter(
-      (row) =>
-        row.doc?._id?.startsWith("a") &&
-        row.doc?.liftName &&
-        row.doc?.attemptNumber &&
-        row.doc?.lifterId
-    ).length;
-    console.log(`Found attempt docs: ${attemptCount}`);
-
-    return data;
-  } catch (error) {
-    console.error("Error fetching data:", error);
-    return null;
-  }
+  meet.reportedMismatches = reported;
 }
 
-function mapWeightClasses(federation) {
-  const config = federationConfigs[federation] || federationConfigs["IPF"];
-  const classConfig = config.weightClasses;
+/**
+ * Start following a meet through its data source. Docs are loaded once, then
+ * each change is applied and broadcast as it arrives.
+ */
+function startMeetSync(meet) {
+  // Replays are already recorded
+  if (config.recordMeets && parseMeetKey(meet.meetId).source !== "replay") {
+    meet.recorder = createRecorder(config.recordingsDir, meet.meetId);
+  }
 
-  // Convert federation configuration file weightclasses to numeric thresholds
-  const thresholds = {};
+  const handlers = {
+    onLoad: (docs) => {
+      meet.recorder?.record("load", docs);
+      loadMeetDocs(meet, docs);
+      meet.lastUpdate = new Date().toISOString();
+      meet.lastError = null;
+      console.log(
+        `Loaded ${Object.keys(meet.lifters).length} lifters for meet ${
+          meet.meetId
+        }`
+      );
+      reportWeightClassMismatches(meet);
+      updateMeetEvents(meet, true);
+      broadcastUpdate(meet);
+    },
+    onChanges: (docs) => {
+      meet.recorder?.record("changes", docs);
+      applyMeetDocs(meet, docs);
+      meet.lastUpdate = new Date().toISOString();
+      console.log(`Applied ${docs.length} changes to meet ${meet.meetId}`);
+      reportWeightClassMismatches(meet);
+      broadcastUpdate(meet, updateMeetEvents(meet));
+    },
+    onError: (error) => {
+      meet.lastError = {
+        message: error.message,
+        time: new Date().toISOString(),
+      };
+    },
+  };
+
+  meet.sync = followMeet(meet.meetId, handlers, sourceOptions);
+}
 
-  ["MALE", "FEMALE"].forEach((sex) => {
-    const classes = classConfig[sex] || {};
-    const parsed = Object.values(classes)
-      .map((v) => v.replace("+", "")) // remove + for parsing
-      .map((v) => parseFloat(v))
-      .filter((v) => !isNaN(v))
-      .sort((a, b) => a - b);
+/**
+ * Build the data payload sent to clients for a meet
+ */
+function getMeetPayload(meet) {
+  return {
+    lifters: meet.lifters,
+    attempts: meet.attempts,
+    divisions: meet.divisions,
+    platforms: meet.platforms,
+    referees: meet.referees,
+    meetInfo: meet.meetInfo,
+    federation: meet.federation,
+    pointsFormula: meet.pointsFormula,
+    weightClassMismatches: meet.weightClassMismatches,
+    teamStandings: meet.teamStandings,
+    events: meet.events,
+    lastUpdate: meet.lastUpdate,
+    serverTime: Date.now(), // Lets clients correct for clock skew
+    replay: meet.sync?.status ? meet.sync.status() : null,
+  };
+}
 
-    thresholds[sex] = parsed;
+/**
+ * The payload a meet topic carries: the whole meet, or one of its platforms
+ */
+function getTopicPayload(meet, topic) {
+  const payload = getMeetPayload(meet);
+  return topic.platform ? getPlatformPayload(payload, topic.platform) : payload;
+}
+
+function getSnapshotMessage(name, topic, data) {
+  return JSON.stringify({
+    type: "snapshot",
+    protocol: PROTOCOL_VERSION,
+    topic: name,
+    seq: topic.seq,
+    data,
   });
+}
 
-  return function getWeightClass(sex, bodyweight) {
-    if (!bodyweight || !sex) return "0";
-    const upper = thresholds[sex.toUpperCase()] || thresholds["MALE"];
-    if (!upper.length) return "0";
+/**
+ * Publish what changed in a meet to each of its topics. A topic's first
+ * publish is a snapshot; after that only changed entities and values are
+ * sent, each delta numbered one on from the last so clients can spot a gap.
+ * New `events` about the lifters a topic covers follow its delta.
+ */
+function broadcastUpdate(meet, events = []) {
+  meet.topics.forEach((topic, name) => {
+    const payload = getTopicPayload(meet, topic);
 
-    // Find the smallest class that is >= bodyweight
-    for (const w of upper) {
-      if (bodyweight <= w) return w.toString();
+    if (!topic.published) {
+      topic.published = getPublishedState(payload);
+      app.publish(name, getSnapshotMessage(name, topic, payload));
+      return;
     }
 
-    // If heavier than all classes, return the top class with "+"
-    return `${upper[upper.length - 1]}+`;
-  };
-}
+    const delta = getDelta(topic.published, payload);
+    topic.published = delta.published;
+    if (delta.data) {
+      topic.seq += 1;
+      app.publish(
+        name,
+        JSON.stringify({
+          type: "delta",
+          protocol: PROTOCOL_VERSION,
+          topic: name,
+          seq: topic.seq,
+          data: {
+            ...delta.data,
+            lastUpdate: payload.lastUpdate,
+            serverTime: payload.serverTime,
+          },
+        })
+      );
+    }
 
-function processMeetInfo(rows) {
-  let meetInfo = {};
-  // Check for the meet ID doc (e.g., "m745m8gkgmfv")
-  const meetInfoDoc = rows.find((row) => row.doc?._id?.startsWith("m"))?.doc;
-
-  if (meetInfoDoc) {
-    meetInfo = {
-      name: meetInfoDoc.name,
-      date: meetInfoDoc.date,
-      federation: meetInfoDoc.federation,
-      units: meetInfoDoc.units || "KG",
-      plates: meetInfoDoc.plates,
-      dateFormat: meetInfoDoc.dateFormat,
-      type: meetInfoDoc.type,
-    };
-  }
+    const topicEvents = events.filter(
+      (event) => payload.lifters[event.lifterId]
+    );
+    if (topicEvents.length > 0) {
+      app.publish(
+        name,
+        JSON.stringify({
+          type: "events",
+          protocol: PROTOCOL_VERSION,
+          topic: name,
+          events: topicEvents,
+        })
+      );
+    }
+  });
+}
 
-  const extraDocs = rows
-    .filter((row) => row.doc && row.doc._id?.startsWith("e"))
-    .map((row) => ({ id: row.doc._id, ...row.doc }));
+/**
+ * Send a client the current state of its topic, numbered with the topic's
+ * latest sequence number
+ */
+function sendSnapshot(ws, meet) {
+  const name = clientTopics.get(ws);
+  const topic = meet.topics.get(name);
+  const payload = getTopicPayload(meet, topic);
 
-  if (extraDocs.length > 0) {
-    meetInfo.extraStuff = extraDocs;
+  if (!topic.published) {
+    topic.published = getPublishedState(payload);
   }
 
-  return meetInfo;
+  try {
+    ws.send(getSnapshotMessage(name, topic, payload));
+  } catch (err) {
+    console.warn("Failed to send meet data to client:", err.message);
+  }
 }
 
-function processPlatforms(rows) {
-  let platforms = {};
-  rows.forEach((row) => {
-    const doc = row.doc;
-    // Platforms usually start with "p" (e.g., "p6kby8k1v0nn")
-    if (doc?._id?.startsWith("p") && doc.name && doc.clockState !== undefined) {
-      platforms[doc._id] = {
-        id: doc._id,
-        name: doc.name,
-        timerRemaining:
-          typeof doc.clockState === "object" && doc.clockState?.remaining
-            ? doc.clockState.remaining / 1000 // Convert ms to seconds
-            : doc.clockTimerLength
-            ? doc.clockTimerLength / 1000
-            : 60, // Default to timer length
-        clockTimerLength: doc.clockTimerLength, // Capture default timer length
-        barAndCollarsWeight: doc.barAndCollarsWeight,
-        currentAttemptId: doc.currentAttemptId,
-        lights: [], // To be populated by processRefereeLights
-      };
-    }
+/**
+ * Reprocess every loaded meet from its docs, after the federations change
+ */
+function reprocessMeets() {
+  meets.forEach((meet) => {
+    if (!meet.lastUpdate) return;
+
+    loadMeetDocs(meet, Array.from(meet.docs.values()));
+    reportWeightClassMismatches(meet);
+    updateMeetEvents(meet, true);
+    broadcastUpdate(meet);
   });
-
-  return platforms;
 }
 
-function processReferees(rows) {
-  let referees = {};
-  rows.forEach((row) => {
-    const doc = row.doc;
-    // Referee docs usually start with "r" (e.g., "rhead-p6kby8k1v0nn")
-    if (doc?._id?.startsWith("r") && doc.platformId && doc.position) {
-      referees[doc._id] = {
-        id: doc._id,
-        platformId: doc.platformId,
-        position: doc.position,
-        decision: doc.decision,
-        cards: doc.cards,
-      };
-    }
-  });
-
-  return referees;
+/**
+ * Start following a meet through its data source
+ */
+function startFollowingMeet(meetId, federation) {
+  const meet = createMeet(meetId, federation);
+  meets.set(meetId, meet);
+  console.log(`Following meet ${meetId} (federation ${federation})`);
+  startMeetSync(meet);
+  return meet;
 }
 
-function processRefereeLights(platforms, referees) {
-  Object.values(platforms).forEach((platform) => {
-    const platformReferees = Object.values(referees)
-      .filter((r) => r.platformId === platform.id)
-      .sort((a, b) => a.position.localeCompare(b.position));
+/**
+ * Stop following a meet once nothing needs it: no subscribers, and not the
+ * configured meet
+ */
+function releaseMeet(meet) {
+  if (meet.subscribers.size > 0 || meet.pinned) return;
 
-    // Decision is "good" or "bad" (string), or null
-    platform.lights = platformReferees.map((r) => r.decision === "good");
-  });
+  meet.sync.stop();
+  meet.recorder?.close();
+  meets.delete(meet.meetId);
+  console.log(`Stopped following meet ${meet.meetId} (no subscribers)`);
 }
 
-function processDivisions(rows) {
-  let divisions = {};
+/**
+ * Subscribe a client to a meet, or to one of its platforms, starting the
+ * meet's data source if it is the first subscriber
+ */
+function subscribeClient(ws, meetId, federation, platform) {
+  unsubscribeClient(ws);
 
-  rows.forEach((row) => {
-    const doc = row.doc;
+  const meet = meets.get(meetId) || startFollowingMeet(meetId, federation);
 
-    // Identify division documents (they have _id starting with "d" and name)
-    // The doc is the entire division object including equipment type and lifts keys
-    if (doc?._id?.startsWith("d") && doc.name) {
-      divisions[doc._id] = doc; // Store the entire division doc
-    }
-  });
+  meet.subscribers.add(ws);
+  clientMeets.set(ws, meetId);
 
-  return divisions;
+  const name = getTopic(meetId, platform);
+  if (!meet.topics.has(name)) {
+    meet.topics.set(name, {
+      platform: platform || null,
+      seq: 0,
+      published: null, // State as of the last message, for working out deltas
+      subscribers: 0,
+    });
+  }
+  meet.topics.get(name).subscribers += 1;
+  clientTopics.set(ws, name);
+  ws.subscribe(name);
+
+  // Send the current state right away if the meet has loaded; otherwise
+  // the first load goes out as a snapshot
+  if (meet.lastUpdate) {
+    sendSnapshot(ws, meet);
+  }
 }
 
-function processLifters(rows, federation, divisions) {
-  let lifters = {};
-  const getWeightClass = mapWeightClasses(federation);
-
-  rows.forEach((row) => {
-    const doc = row.doc;
-
-    // Identify lifter data (lifter docs usually start with "l")
-    if (doc?._id?.startsWith("l") && doc.name && doc.birthDate && doc.gender) {
-      // Get division information
-      const divisionInfo = doc.divisions?.length > 0 ? doc.divisions[0] : null;
-      const divisionId = divisionInfo?.divisionId || null;
-      const divisionName =
-        divisionId && divisions[divisionId] ? divisions[divisionId].name : "";
-      // Map weight class to division
-      const sex = doc.gender;
-      // Ensure bodyWeight is treated as a number, defaulting to 0 if null/missing
-      const bodyweight = doc.bodyWeight > 0 ? parseFloat(doc.bodyWeight) : 0;
-      const weightClass = getWeightClass(sex, bodyweight);
-
-      lifters[doc._id] = {
-        id: doc._id,
-        name: doc.name,
-        sex: sex,
-        weightClass: weightClass,
-        bodyweight: bodyweight,
-        division: divisionName,
-        divisionId: divisionId,
-        squat: { 1: 0, 2: 0, 3: 0, best: 0 },
-        bench: { 1: 0, 2: 0, 3: 0, best: 0 },
-        deadlift: { 1: 0, 2: 0, 3: 0, best: 0 },
-        total: 0,
-        place: null,
-        records: {},
-        squatRackHeight: doc.squatRackHeight || "",
-        benchRackHeight: doc.benchRackHeight || "",
-        team: doc.team || "",
-        lot: doc.lot || null,
-        platformId: doc.platformId || null,
-        session: doc.session || null,
-        flight: doc.flight || "",
-      };
-    }
-  });
-
-  return lifters;
-}
+/**
+ * Remove a client from its meet, stopping the meet's data source once its
+ * last subscriber leaves. uWS drops a closed client's topics by itself.
+ */
+function unsubscribeClient(ws, isClosed = false) {
+  const meet = meets.get(clientMeets.get(ws));
+  const name = clientTopics.get(ws);
+  clientMeets.set(ws, null);
+  clientTopics.delete(ws);
 
-function processAttempts(rows, lifters) {
-  let attempts = {};
-
-  rows.forEach((row) => {
-    const doc = row.doc;
-
-    // Attempt docs usually start with "a" (e.g., "a1b-l0svoxjzi9ch")
-    if (
-      doc._id &&
-      doc._id.startsWith("a") &&
-      doc.lifterId &&
-      doc.liftName &&
-      doc.attemptNumber
-    ) {
-      attempts[doc._id] = {
-        id: doc._id,
-        lifterId: doc.lifterId,
-        liftName: doc.liftName,
-        attemptNumber: doc.attemptNumber,
-        weight: doc.weight,
-        result: doc.result,
-        decisions: doc.decisions,
-        createDate: doc.createDate,
-      };
+  if (!meet) return;
 
-      const lifter = lifters[doc.lifterId];
+  meet.subscribers.delete(ws);
 
-      if (lifter) {
-        const attemptNum = parseInt(doc.attemptNumber);
-        let liftType = doc.liftName.toLowerCase();
+  const topic = meet.topics.get(name);
+  if (topic) {
+    if (!isClosed) {
+      ws.unsubscribe(name);
+    }
+    topic.subscribers -= 1;
+    if (topic.subscribers === 0) {
+      meet.topics.delete(name);
+    }
+  }
 
-        // Handle inconsistent naming: "dead" vs "deadlift"
-        if (liftType === "dead") {
-          liftType = "deadlift";
-        }
+  releaseMeet(meet);
+}
 
-        if (lifter[liftType] && attemptNum >= 1 && attemptNum <= 3) {
-          // Ensure weight is treated as a number, defaulting to 0
-          const weight = parseFloat(doc.weight) || 0;
-          const isSuccess = doc.result?.toLowerCase() === "good";
-
-          // Lift logic: positive for good, negative for bad, 0 for pending (null result)
-          // The weight should be abs() for a failed lift, not just in the calculation
-          // It should be negative only if "result" is "bad", and 0 if "result" is "null" (pending)
-          lifter[liftType][attemptNum] = isSuccess
-            ? weight
-            : doc.result === null || doc.result === undefined
-            ? 0
-            : -Math.abs(weight);
-        }
-      }
-    }
-  });
+/**
+ * Whether a token is the admin token, compared in constant time
+ */
+function isAdminToken(token) {
+  if (!config.adminToken || typeof token !== "string") return false;
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(token), digest(config.adminToken));
+}
 
-  return attempts;
+function isAdmin(ws) {
+  return clients.get(ws)?.role === "admin";
 }
 
-function calculateBestLifts(lifters) {
-  Object.values(lifters).forEach((lifter) => {
-    ["squat", "bench", "deadlift"].forEach((lift) => {
-      // Filter out pending (0) and failed (negative) attempts
-      const attempts = [
-        lifter[lift][1],
-        lifter[lift][2],
-        lifter[lift][3],
-      ].filter((w) => w > 0);
-
-      lifter[lift].best = attempts.length > 0 ? Math.max(...attempts) : 0;
-    });
+function sendMessage(ws, message) {
+  try {
+    ws.send(JSON.stringify(message));
+  } catch (err) {
+    console.warn(`Failed to send ${message.type} to client:`, err.message);
+  }
+}
 
-    // Calculate total
-    lifter.total =
-      (lifter.squat.best || 0) +
-      (lifter.bench.best || 0) +
-      (lifter.deadlift.best || 0);
-  });
+function sendError(ws, message) {
+  sendMessage(ws, { type: "error", message });
 }
 
-function calculatePlacings(lifters) {
-  const lifterArray = Object.values(lifters);
+/**
+ * Apply an admin's `set-config` message: the meet and federation viewers are
+ * shown, and their display settings. The configured meet is followed
+ * straight away and kept followed until another is chosen.
+ */
+function setServerConfig(msg) {
+  if (msg.federation && !federationConfigs[msg.federation]) {
+    throw new Error(`Unknown federation: ${msg.federation}`);
+  }
 
-  // Group lifters by division, sex, and weight class
-  const groups = {};
+  const meetId = msg.meetId ? String(msg.meetId).trim() : null;
+  const federation = msg.federation || serverConfig.federation;
+
+  if (meetId !== serverConfig.meetId) {
+    const previous = meets.get(serverConfig.meetId);
+    if (previous) {
+      previous.pinned = false;
+      releaseMeet(previous);
+    }
+    if (meetId) {
+      const meet = meets.get(meetId) || startFollowingMeet(meetId, federation);
+      meet.pinned = true;
+    }
+  }
 
-  lifterArray.forEach((lifter) => {
-    const key = `${lifter.divisionId}_${lifter.sex}_${lifter.weightClass}`;
-    if (!groups[key]) {
-      groups[key] = [];
+  const display = {};
+  DISPLAY_SETTINGS.forEach((setting) => {
+    if (msg.display?.[setting]) {
+      display[setting] = String(msg.display[setting]);
     }
-    groups[key].push(lifter);
   });
 
-  // Sort within each group by total (descending)
-  Object.values(groups).forEach((group) => {
-    const sortedGroup = group.sort((a, b) => {
-      if (b.total !== a.total) {
-        return b.total - a.total;
-      }
-      // Sort by bodyweight (ascending) for ties (lighter bodyweight wins)
-      return a.bodyweight - b.bodyweight;
-    });
+  serverConfig.meetId = meetId;
+  serverConfig.federation = federation;
+  serverConfig.display = display;
+  console.log(
+    `Server configured: Meet ID=${meetId || "none"}, Federation=${federation}`
+  );
 
-    // Assign placings
-    sortedGroup.forEach((lifter, index) => {
-      // Only assign place if they have a non-zero total (i.e., completed at least one successful lift)
-      lifter.place = lifter.total > 0 ? index + 1 : null;
-    });
-  });
+  // Every screen hears about it, so viewers can follow the new meet
+  app.publish(
+    "config",
+    JSON.stringify({ type: "config", config: serverConfig })
+  );
 }
 
-async function updateMeetData() {
-  if (!meetData.meetId) {
-    console.log("No meet ID configured");
+/**
+ * What the admin page shows: the configuration, connected clients and how
+ * each followed meet's data source is doing
+ */
+function getServerStatus() {
+  return {
+    config: serverConfig,
+    authRequired: Boolean(config.adminToken),
+    clients: Array.from(clients, ([ws, client]) => ({
+      ...client,
+      meetId: clientMeets.get(ws) || null,
+      topic: clientTopics.get(ws) || null,
+    })),
+    meets: Array.from(meets.values(), (meet) => ({
+      meetId: meet.meetId,
+      source: parseMeetKey(meet.meetId).source,
+      federation: meet.federation,
+      lifters: Object.keys(meet.lifters).length,
+      lastUpdate: meet.lastUpdate,
+      lastError: meet.lastError,
+      subscribers: meet.subscribers.size,
+      topics: Array.from(meet.topics.keys()),
+      pinned: meet.pinned,
+      replay: meet.sync?.status ? meet.sync.status() : null,
+    })),
+  };
+}
+
+/**
+ * Apply a playback control message (play, pause, seek, speed) to the replay
+ * a client is watching
+ */
+function controlReplay(ws, msg) {
+  const meet = meets.get(clientMeets.get(ws));
+
+  if (!meet || !meet.sync?.status) {
+    console.warn("Ignoring replay control for a meet that is not a replay");
     return;
   }
 
-  const data = await fetchData(meetData.meetId);
-
-  if (!data || !data.rows) {
-    console.log("No data received");
+  if (msg.action === "play") {
+    meet.sync.play();
+  } else if (msg.action === "pause") {
+    meet.sync.pause();
+  } else if (msg.action === "seek") {
+    // Seeking reloads the meet, which already broadcasts it
+    meet.sync.seek(Number(msg.position) || 0);
+    return;
+  } else if (msg.action === "speed") {
+    meet.sync.setSpeed(Number(msg.speed));
+  } else {
+    console.warn(`Unknown replay action: ${msg.action}`);
     return;
   }
 
-  // Process data
-  meetData.divisions = processDivisions(data.rows);
-  meetData.meetInfo = processMeetInfo(data.rows);
-  meetData.platforms = processPlatforms(data.rows);
-  meetData.referees = processReferees(data.rows);
-  meetData.lifters = processLifters(
-    data.rows,
-    meetData.federation,
-    meetData.divisions
-  );
-  meetData.attempts = processAttempts(data.rows, meetData.lifters);
+  // Let every viewer of the replay see the new playback state
+  broadcastUpdate(meet);
+}
 
-  // Calculate results
-  calculateBestLifts(meetData.lifters);
-  calculatePlacings(meetData.lifters);
+/**
+ * The followed meet a request is for: `?meet=`, or the only meet being
+ * followed when there's just one
+ */
+function getRequestedMeet(req) {
+  const query = new URLSearchParams(req.getQuery() || "");
+  const meetKey =
+    query.get("meet") || (meets.size === 1 ? meets.keys().next().value : null);
+  return meets.get(meetKey) || null;
+}
 
-  // Update live display
-  processRefereeLights(meetData.platforms, meetData.referees);
+/**
+ * Download a followed meet's results in one of the export formats
+ */
+function handleExport(res, req) {
+  const fileName = req.getParameter(0);
+  const format = EXPORT_FORMATS[fileName];
+  const meet = getRequestedMeet(req);
+
+  res.cork(() => {
+    if (!format) {
+      res.writeStatus("404 Not Found").end("Unknown export format");
+      return;
+    }
+    if (!meet) {
+      res.writeStatus("404 Not Found").end("Meet is not being followed");
+      return;
+    }
+    if (!meet.lastUpdate) {
+      res.writeStatus("503 Service Unavailable").end("Meet is still loading");
+      return;
+    }
 
-  meetData.lastUpdate = new Date().toISOString();
+    const safeMeetId = meet.meetId.replace(/[^a-zA-Z0-9_-]/g, "_");
+    res.writeHeader("Content-Type", format.contentType);
+    res.writeHeader(
+      "Content-Disposition",
+      `attachment; filename="${safeMeetId}-${fileName}"`
+    );
+    res.end(format.build(meet));
+  });
+}
 
-  console.log(
-    `Updated data for ${Object.keys(meetData.lifters).length} lifters`
-  );
+// CORS headers for the read-only API
+const API_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "If-None-Match",
+  "Access-Control-Expose-Headers": "ETag",
+};
 
-  // Broadcast to all connected clients
-  broadcastUpdate();
+function writeApiHeaders(res) {
+  Object.entries(API_HEADERS).forEach(([name, value]) => {
+    res.writeHeader(name, value);
+  });
 }
 
 /**
- * Broadcast updated data to all connected WebSocket clients
+ * Answer an API request with JSON. Successful responses carry an ETag, and
+ * clients that already have the same data get a 304 instead.
  */
-function broadcastUpdate() {
-  const message = JSON.stringify({
-    type: "update",
-    data: {
-      lifters: meetData.lifters,
-      attempts: meetData.attempts,
-      divisions: meetData.divisions,
-      platforms: meetData.platforms,
-      referees: meetData.referees,
-      meetInfo: meetData.meetInfo,
-      federation: meetData.federation,
-      lastUpdate: meetData.lastUpdate,
-    },
+function sendJson(res, req, status, data) {
+  const body = JSON.stringify(data);
+  const ok = status === "200 OK";
+  const etag = ok ? getETag(body) : null;
+  const notModified = ok && matchesETag(req.getHeader("if-none-match"), etag);
+
+  res.cork(() => {
+    res.writeStatus(notModified ? "304 Not Modified" : status);
+    writeApiHeaders(res);
+    if (etag) {
+      res.writeHeader("ETag", etag);
+      res.writeHeader("Cache-Control", "no-cache");
+    }
+    if (notModified) {
+      res.end();
+      return;
+    }
+    res.writeHeader("Content-Type", "application/json; charset=utf-8");
+    res.end(body);
   });
+}
 
-  connectedClients.forEach((ws) => {
-    try {
-      ws.send(message);
-    } catch (err) {
-      console.warn("Failed to send update to client:", err.message);
+/**
+ * Handler for an API route about a followed meet. `getData(meet, req)`
+ * returns the response, or null when what was asked for doesn't exist.
+ */
+function meetRoute(getData) {
+  return (res, req) => {
+    const meet = getRequestedMeet(req);
+    if (!meet) {
+      sendJson(res, req, "404 Not Found", {
+        error: "Meet is not being followed",
+      });
+      return;
     }
-  });
+    if (!meet.lastUpdate) {
+      sendJson(res, req, "503 Service Unavailable", {
+        error: "Meet is still loading",
+      });
+      return;
+    }
+
+    const data = getData(meet, req);
+    if (data === null) {
+      sendJson(res, req, "404 Not Found", { error: "Not found" });
+      return;
+    }
+    sendJson(res, req, "200 OK", data);
+  };
 }
 
 /**
  * Start the uWS server
  */
 function startServer() {
-  const app = App();
+  // Results downloads: results.csv, results.json and openpowerlifting.csv
+  app.get("/export/:file", handleExport);
+
+  // Read-only JSON API
+  app.options("/api/*", (res) => {
+    res.cork(() => {
+      res.writeStatus("204 No Content");
+      writeApiHeaders(res);
+      res.end();
+    });
+  });
+
+  app.get("/api/health", (res, req) => {
+    sendJson(res, req, "200 OK", {
+      status: "ok",
+      meets: Array.from(meets.values(), (meet) => ({
+        meetId: meet.meetId,
+        federation: meet.federation,
+        lastUpdate: meet.lastUpdate,
+        subscribers: meet.subscribers.size,
+      })),
+    });
+  });
+
+  app.get("/api/meet", meetRoute(getMeetSummary));
+  app.get("/api/platforms", meetRoute(getPlatforms));
+  app.get(
+    "/api/lifters",
+    meetRoute((meet, req) =>
+      getLifters(meet, new URLSearchParams(req.getQuery() || ""))
+    )
+  );
+  app.get(
+    "/api/lifters/:id",
+    meetRoute((meet, req) => getLifter(meet, req.getParameter(0)))
+  );
+  app.get("/api/divisions", meetRoute(getDivisions));
+  app.get(
+    "/api/events",
+    meetRoute((meet, req) =>
+      getEvents(meet, new URLSearchParams(req.getQuery() || ""))
+    )
+  );
+
+  app.get("/api/*", (res, req) => {
+    sendJson(res, req, "404 Not Found", { error: "Unknown API route" });
+  });
 
   // Serve static files
   app.get("/*", (res, req) => {
@@ -461,8 +732,8 @@ function startServer() {
     const url = req.getUrl();
     let filePath;
 
-    if (url === "/" || url === "") {
-      filePath = join(__dirname, "public", "index.html");
+    if (PAGES[url]) {
+      filePath = join(__dirname, "public", PAGES[url]);
     } else {
       filePath = join(__dirname, "public", url);
     }
@@ -505,65 +776,120 @@ function startServer() {
   app.ws("/ws", {
     open: (ws) => {
       console.log("Client connected");
-      connectedClients.push(ws);
-
-      // Send current data immediately
-      try {
-        ws.send(
-          JSON.stringify({
-            type: "initial",
-            data: {
-              lifters: meetData.lifters,
-              lastUpdate: meetData.lastUpdate,
-              federation: meetData.federation,
-              federations: Object.keys(federationConfigs),
-            },
-          })
-        );
-      } catch (err) {
-        console.warn("Failed to send initial data to client:", err.message);
-      }
+      clientMeets.set(ws, null);
+      clients.set(ws, {
+        role: config.adminToken ? "viewer" : "admin",
+        address: Buffer.from(ws.getRemoteAddressAsText()).toString(),
+        connectedAt: new Date().toISOString(),
+      });
+      ws.subscribe("config");
+
+      // Tell the client what it's talking to and what's been set up; meet
+      // data follows once it configures a meet
+      sendMessage(ws, {
+        type: "initial",
+        protocol: PROTOCOL_VERSION,
+        data: {
+          federations: Object.keys(federationConfigs),
+          role: clients.get(ws).role,
+          authRequired: Boolean(config.adminToken),
+          config: serverConfig,
+        },
+      });
     },
 
     message: (ws, message, isBinary) => {
       try {
         const msg = JSON.parse(Buffer.from(message).toString());
-        if (msg.type === "configure") {
-          meetData.meetId = msg.meetId;
-          meetData.federation = msg.federation || "IPF";
+        if (msg.type === "auth") {
+          if (!isAdminToken(msg.token)) {
+            console.warn("Rejected admin login with a wrong token");
+            sendError(ws, "Wrong admin token");
+            return;
+          }
+          clients.get(ws).role = "admin";
+          sendMessage(ws, { type: "auth", role: "admin" });
+        } else if (msg.type === "configure") {
+          if (!msg.meetId) {
+            console.warn("Ignoring configure message without a meet ID");
+            return;
+          }
+
+          // Viewers can watch meets already being followed, but only admins
+          // can start following one
+          if (!isAdmin(ws) && !meets.has(msg.meetId)) {
+            sendError(ws, `Meet ${msg.meetId} isn't being followed`);
+            return;
+          }
+
+          if (msg.federation && !federationConfigs[msg.federation]) {
+            sendError(ws, `Unknown federation: ${msg.federation}`);
+            return;
+          }
+
+          // Only this client follows the requested meet (or platform)
+          subscribeClient(
+            ws,
+            msg.meetId,
+            msg.federation || serverConfig.federation,
+            msg.platform || null
+          );
           console.log(
-            `Configured: Meet ID=${meetData.meetId}, Federation=${meetData.federation}`
+            `Client configured: Meet ID=${msg.meetId}, Federation=${
+              meets.get(msg.meetId).federation
+            }${msg.platform ? `, Platform=${msg.platform}` : ""}`
           );
-          // Immediately fetch data
-          updateMeetData();
+        } else if (msg.type === "resync") {
+          // The client missed a delta, so start it again from a snapshot
+          const meet = meets.get(clientMeets.get(ws));
+          if (meet?.lastUpdate) {
+            sendSnapshot(ws, meet);
+          }
+        } else if (!isAdmin(ws)) {
+          sendError(ws, `Only admins can send ${msg.type} messages`);
+        } else if (msg.type === "replay") {
+          controlReplay(ws, msg);
+        } else if (msg.type === "set-config") {
+          setServerConfig(msg);
+        } else if (msg.type === "status") {
+          sendMessage(ws, { type: "status", data: getServerStatus() });
         }
       } catch (err) {
         console.error("Error handling client message:", err.message);
+        sendError(ws, err.message);
       }
     },
 
     close: (ws, code, message) => {
       console.log("Client disconnected");
-      connectedClients = connectedClients.filter((client) => client !== ws);
+      unsubscribeClient(ws, true);
+      clientMeets.delete(ws);
+      clients.delete(ws);
     },
   });
 
-  app.listen(PORT, (token) => {
+  app.listen(config.host, config.port, (token) => {
     if (token) {
-      console.log(`Server listening on port ${PORT}`);
-      console.log(`Open http://localhost:${PORT} in your browser`);
+      console.log(`Server listening on ${config.host}:${config.port}`);
+      if (!config.adminToken) {
+        console.warn(
+          "ADMIN_TOKEN is not set, so every client can configure the server"
+        );
+      }
+      console.log(`Open http://localhost:${config.port} in your browser`);
+
+      // A headless server can be following its meet before any screen
+      // connects
+      if (config.meet) {
+        setServerConfig({ meetId: config.meet, federation: config.federation });
+      }
     } else {
-      console.log("Failed to listen on port " + PORT);
+      console.error(`Failed to listen on ${config.host}:${config.port}`);
+      process.exit(1);
     }
   });
-
-  // Set up periodic updates
-  setInterval(() => {
-    if (meetData.meetId) {
-      updateMeetData();
-    }
-  }, UPDATE_INTERVAL);
 }
 
 // Start the server
 startServer();
+watchFederationConfigs(config.federationsFile, reprocessMeets);